@@ -0,0 +1,346 @@
+/* global process */  // Declare process as a global if available.
+
+/**
+ * Log Store CLI
+ *
+ * Inspects and converts the files written by the Logger's CSV, JSONL and SQLite transports.
+ * Run it with `bun run logs <command>`; see `bun run logs --help` for the options.
+ */
+
+import { existsSync } from "node:fs";
+import { extname } from "node:path";
+import { parseArgs } from "node:util";
+import Logger from "../src/services/logger.js";
+import { assertLevel, isLevelAtLeast } from "../src/services/logging/levels.js";
+import { resolveFormatter } from "../src/services/logging/formatters.js";
+
+const USAGE = `Usage: bun run logs <command> [options]
+
+Commands:
+  tail <store>          Print the newest entries of a store.
+  export <from> <to>    Copy entries from one store to another, appending to <to>.
+
+Stores are recognized by extension: .csv, .jsonl (or .ndjson), .db (or .sqlite, .sqlite3).
+
+Filters:
+  -l, --level <level>   Only entries at or above this level.
+      --since <time>    Only entries at or after this time: an ISO date, or an age such as 15m, 2h or 7d.
+      --until <time>    Only entries at or before this time, in the same forms.
+  -s, --search <text>   Only entries whose message contains this text (case-insensitive).
+
+Tail options:
+  -n, --lines <count>   The number of existing entries to print (default 10).
+  -f, --follow          Keep printing entries as they are written.
+      --format <name>   Output format: pretty (default), json or logfmt.
+      --interval <ms>   How often to check for new entries when following (default 1000).
+
+Examples:
+  bun run logs tail ./logs.db -f --level warn
+  bun run logs tail ./logs.csv --since 1h --search timeout
+  bun run logs export ./logs.csv ./logs.db
+`;
+
+/**
+ * The store type for each supported file extension.
+ * @constant {Object<string, string>}
+ */
+const STORE_TYPES = {
+    ".csv": "csv",
+    ".jsonl": "jsonl",
+    ".ndjson": "jsonl",
+    ".db": "sqlite",
+    ".sqlite": "sqlite",
+    ".sqlite3": "sqlite",
+};
+
+/**
+ * Milliseconds per unit for relative times such as `15m`.
+ * @constant {Object<string, number>}
+ */
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * The number of rows read per SQLite query when exporting or following.
+ * @constant {number}
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Determines the store type of a path from its extension.
+ *
+ * @param {string} filePath - The store path.
+ * @returns {string} 'csv', 'jsonl' or 'sqlite'.
+ * @throws {Error} If the extension is not recognized.
+ */
+function storeType(filePath) {
+    const type = STORE_TYPES[extname(filePath).toLowerCase()];
+    if (!type) {
+        throw new Error(`Cannot tell the format of "${filePath}". Use a .csv, .jsonl or .db file.`);
+    }
+    return type;
+}
+
+/**
+ * Parses a `--since`/`--until` value: an age such as `15m`, or anything `Date` understands.
+ *
+ * @param {string} value - The option value.
+ * @param {string} name - The option name, used in error messages.
+ * @returns {Date} The point in time.
+ * @throws {Error} If the value is not a valid time.
+ */
+function parseTime(value, name) {
+    const age = /^(\d+)([smhd])$/.exec(value);
+    const date = age ? new Date(Date.now() - Number(age[1]) * DURATION_UNITS[age[2]]) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid --${name} "${value}". Use an ISO date or an age such as 15m, 2h or 7d.`);
+    }
+    return date;
+}
+
+/**
+ * Parses a positive integer option.
+ *
+ * @param {string} value - The option value.
+ * @param {string} name - The option name, used in error messages.
+ * @returns {number} The parsed number.
+ * @throws {Error} If the value is not a non-negative integer.
+ */
+function parseCount(value, name) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Invalid --${name} "${value}". Expected a whole number.`);
+    }
+    return count;
+}
+
+/**
+ * Builds the query shared by every store from the filter options.
+ *
+ * @param {Object} values - The parsed command-line options.
+ * @returns {import("../src/services/logging/sqliteTransport.js").LogQuery} The filters.
+ * @throws {Error} If `--level` is not a known level or a time cannot be parsed.
+ */
+function buildQuery(values) {
+    const query = {};
+    if (values.level) {
+        // Normalized here so file stores filter exactly like SQLite, and typos fail instead of matching everything.
+        query.minLevel = assertLevel(values.level);
+    }
+    if (values.since) {
+        query.since = parseTime(values.since, "since");
+    }
+    if (values.until) {
+        query.until = parseTime(values.until, "until");
+    }
+    if (values.search) {
+        query.search = values.search;
+    }
+    return query;
+}
+
+/**
+ * Checks an entry read from a file against the filters, mirroring the SQLite query.
+ *
+ * @param {import("../src/services/logging/transport.js").LogEntry} entry - The entry to check.
+ * @param {import("../src/services/logging/sqliteTransport.js").LogQuery} query - The filters.
+ * @returns {boolean} True if the entry matches.
+ */
+function matches(entry, query) {
+    if (query.minLevel && !isLevelAtLeast(entry.level, query.minLevel)) {
+        return false;
+    }
+    const time = new Date(entry.timestamp).getTime();
+    if (query.since && time < query.since.getTime()) {
+        return false;
+    }
+    if (query.until && time > query.until.getTime()) {
+        return false;
+    }
+    return !query.search || entry.message.toLowerCase().includes(query.search.toLowerCase());
+}
+
+/**
+ * Opens a SQLite store through a Logger, so its schema is migrated like any other.
+ *
+ * @param {string} dbPath - The database path.
+ * @returns {Logger} A logger whose only transport is the database.
+ */
+function openSqlite(dbPath) {
+    return new Logger({ minLevel: "trace", transports: [{ type: "sqlite", dbPath }] });
+}
+
+/**
+ * Streams the matching entries of a store, oldest first.
+ *
+ * @param {string} storePath - The store to read.
+ * @param {import("../src/services/logging/sqliteTransport.js").LogQuery} query - The filters.
+ * @param {Object} [options={}] - Reading options.
+ * @param {boolean} [options.follow=false] - Keep yielding entries as they are written.
+ * @param {number} [options.pollInterval=1000] - How often to check for new entries when following.
+ * @param {number} [options.skip=0] - The number of matching file entries to skip, e.g. those already printed.
+ * @param {number} [options.afterId=0] - For SQLite, only read rows with a larger ID.
+ * @returns {AsyncGenerator<import("../src/services/logging/transport.js").LogEntry>} The entries.
+ */
+async function* readStore(storePath, query, options = {}) {
+    const { follow = false, pollInterval = 1000, skip = 0 } = options;
+    const type = storeType(storePath);
+
+    if (type === "sqlite") {
+        const store = openSqlite(storePath);
+        try {
+            let afterId = options.afterId ?? 0;
+            for (;;) {
+                const page = await store.query({ ...query, afterId, orderBy: "id asc", limit: PAGE_SIZE });
+                for (const { id, ...entry } of page) {
+                    afterId = id;
+                    yield entry;
+                }
+                if (page.length === PAGE_SIZE) {
+                    continue;
+                }
+                if (!follow) {
+                    return;
+                }
+                await new Promise((resolve) => setTimeout(resolve, pollInterval));
+            }
+        } finally {
+            store.close();
+        }
+    }
+
+    const entries = type === "csv"
+        ? Logger.readCsv(storePath, { follow, pollInterval })
+        : Logger.readJsonl(storePath, { follow, pollInterval });
+    let skipped = 0;
+    for await (const entry of entries) {
+        if (!matches(entry, query)) {
+            continue;
+        }
+        if (skipped < skip) {
+            skipped++;
+            continue;
+        }
+        yield entry;
+    }
+}
+
+/**
+ * Prints the newest matching entries of a store, then optionally follows it.
+ *
+ * @param {string} storePath - The store to read.
+ * @param {Object} values - The parsed command-line options.
+ */
+async function tail(storePath, values) {
+    const query = buildQuery(values);
+    const lines = values.lines !== undefined ? parseCount(values.lines, "lines") : 10;
+    const pollInterval = values.interval !== undefined ? parseCount(values.interval, "interval") : 1000;
+    const format = resolveFormatter(values.format || "pretty");
+    const print = (entry) => process.stdout.write(`${format(entry)}\n`);
+
+    if (storeType(storePath) === "sqlite") {
+        const store = openSqlite(storePath);
+        const newest = await store.query({ ...query, orderBy: "id desc", limit: lines });
+        // Follow from the newest row overall, so filtered-out rows are not reconsidered.
+        const [last] = await store.query({ orderBy: "id desc", limit: 1 });
+        store.close();
+        newest.reverse().forEach(print);
+        if (values.follow) {
+            for await (const entry of readStore(storePath, query, { follow: true, pollInterval, afterId: last?.id })) {
+                print(entry);
+            }
+        }
+        return;
+    }
+
+    // Files are read from the top; keep only the newest entries, then follow past them.
+    const newest = [];
+    let seen = 0;
+    for await (const entry of readStore(storePath, query)) {
+        newest.push(entry);
+        if (newest.length > lines) {
+            newest.shift();
+        }
+        seen++;
+    }
+    newest.forEach(print);
+    if (values.follow) {
+        for await (const entry of readStore(storePath, query, { follow: true, pollInterval, skip: seen })) {
+            print(entry);
+        }
+    }
+}
+
+/**
+ * Copies the matching entries of one store into another, keeping their timestamps.
+ *
+ * @param {string} fromPath - The store to read.
+ * @param {string} toPath - The store to append to; created if missing.
+ * @param {Object} values - The parsed command-line options.
+ */
+async function exportStore(fromPath, toPath, values) {
+    const query = buildQuery(values);
+    const type = storeType(toPath);
+    const target = new Logger({
+        minLevel: "trace",
+        transports: [type === "sqlite" ? { type, dbPath: toPath } : { type, filePath: toPath }],
+    });
+    try {
+        const count = await target.importEntries(readStore(fromPath, query));
+        console.log(`Exported ${count} entries from ${fromPath} to ${toPath}.`);
+    } finally {
+        target.close();
+    }
+}
+
+/**
+ * Runs the CLI.
+ *
+ * @param {string[]} argv - The command-line arguments after the script name.
+ */
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            level: { type: "string", short: "l" },
+            since: { type: "string" },
+            until: { type: "string" },
+            search: { type: "string", short: "s" },
+            lines: { type: "string", short: "n" },
+            follow: { type: "boolean", short: "f" },
+            format: { type: "string" },
+            interval: { type: "string" },
+            help: { type: "boolean", short: "h" },
+        },
+    });
+    const [command, ...paths] = positionals;
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const expected = { tail: 1, export: 2 }[command];
+    if (!expected) {
+        throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+    }
+    if (paths.length !== expected) {
+        throw new Error(`"${command}" expects ${expected === 1 ? "a store" : "a source and a target store"}.\n\n${USAGE}`);
+    }
+    // Reading a missing SQLite path would silently create an empty database.
+    if (!existsSync(paths[0])) {
+        throw new Error(`No log store at ${paths[0]}.`);
+    }
+
+    if (command === "tail") {
+        await tail(paths[0], values);
+    } else {
+        await exportStore(paths[0], paths[1], values);
+    }
+}
+
+try {
+    await main(process.argv.slice(2));
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
@@ -1,15 +1,34 @@
 import React, { useState, useEffect, useMemo, useCallback } from "react";
 import FetchService from "@/services/fetcher";
 import Logger from "@/services/logger";
+import ErrorHandler from "@/services/errorHandler";
 import Icon from "@/components/Icon";
 import { debounce, formatDate, generateUUID } from "@/utils";
 import ErrorBoundary from "@/components/ErrorBoundary";
 import { useI18n } from "@/hooks/useI18n";
 import "@/styles/index.css";
 
-const newsLogger = new Logger({
-  type: import.meta.env.VITE_LOGGER_TYPE || "console",
+const loggerTransports = [
+  { type: import.meta.env.VITE_LOGGER_TYPE || "console" },
+];
+// Ship client logs to the backend when a collection endpoint is configured.
+if (import.meta.env.VITE_LOG_ENDPOINT) {
+  loggerTransports.push({
+    type: "http",
+    url: import.meta.env.VITE_LOG_ENDPOINT,
+    minLevel: "info",
+  });
+}
+const appLogger = new Logger({
+  transports: loggerTransports,
+  // Request options logged by FetchService can carry credentials and personal data.
+  redact: {
+    paths: ["headers.authorization", "headers.cookie", "password"],
+    patterns: ["bearerToken", "jwt", "email"],
+  },
 });
+const newsLogger = appLogger.child({ module: "news-explorer" });
+const errorHandler = new ErrorHandler({ logger: newsLogger });
 
 const NewsExplorer = () => {
   const { t, changeLocale, locale } = useI18n();
@@ -20,6 +39,12 @@ const NewsExplorer = () => {
 
   const fetchService = useMemo(() => {
     return new FetchService({
+      logger: appLogger,
+      // Ride out transient Algolia failures (429s and 5xx) before showing an error.
+      retry: { maxAttempts: 3, baseDelay: 500 },
+      timeout: 10000,
+      // Reject error responses instead of parsing an error page as search results.
+      throwOnHttpError: true,
       defaultOptions: {
         headers: {
           "User-Agent":
@@ -29,30 +54,44 @@ const NewsExplorer = () => {
     });
   }, []);
 
+  // Each search aborts the one before it, so a slow, outdated response never replaces newer results.
+  const searchArticles = useMemo(() => fetchService.latest("getJson"), [fetchService]);
+  useEffect(() => () => searchArticles.abort(), [searchArticles]);
+
   // Debounced search function to fetch articles from Hacker News
   // eslint-disable-next-line react-hooks/exhaustive-deps
   const fetchArticles = useCallback(
     debounce(async (searchQuery) => {
       setLoading(true);
-      newsLogger.log("info", `Searching articles for query: ${searchQuery}`);
+      newsLogger.info("Searching articles", { query: searchQuery });
+      let superseded = false;
       try {
-        const response = await fetchService.get(
+        const data = await searchArticles(
           `https://hn.algolia.com/api/v1/search?query=${encodeURIComponent(
             searchQuery
           )}`
         );
-        const data = await response.json();
-        newsLogger.log("info", `Fetched ${data.hits.length} articles.`);
+        newsLogger.info(`Fetched ${data.hits.length} articles.`, {
+          query: searchQuery,
+          count: data.hits.length,
+        });
         setArticles(data.hits);
         setError(null);
       } catch (err) {
-        newsLogger.log("error", err.message);
+        if (err.name === "AbortError") {
+          // A newer search replaced this one; it owns the loading state now.
+          superseded = true;
+          return;
+        }
+        errorHandler.captureError(err, { query: searchQuery });
         setError(err.message);
       } finally {
-        setLoading(false);
+        if (!superseded) {
+          setLoading(false);
+        }
       }
     }, 500),
-    [fetchService]
+    [searchArticles]
   );
 
   // Effect to trigger search on query change.
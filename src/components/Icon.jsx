@@ -3,8 +3,12 @@ import ErrorBoundary from "@/components/ErrorBoundary";
 import Spinner from "@/components/Spinner";
 import Logger from "@/services/logger";
 
-// Create a default logger instance for icon-related logging.
-const iconLogger = new Logger({ type: "console" });
+// Create a default logger instance for icon-related logging. Cache hits are logged on
+// every render, so repeats are collapsed into one entry per five seconds.
+const iconLogger = new Logger({
+  type: "console",
+  dedupe: { window: 5000 },
+}).child({ module: "icon" });
 
 // Static mapping for supported icon sets.
 // also update this in the vite.config.js
@@ -32,7 +36,7 @@ const iconCache = new Map();
 const getCachedIcon = (iconSet, iconName) => {
   const cacheKey = `${iconSet}-${iconName}`;
   if (iconCache.has(cacheKey)) {
-    iconLogger.log("debug", `Icon cache hit for ${cacheKey}`);
+    iconLogger.debug("Icon cache hit", { cacheKey });
     return iconCache.get(cacheKey);
   }
   const loadIconSet = iconSets[iconSet];
@@ -47,15 +51,15 @@ const getCachedIcon = (iconSet, iconName) => {
           `Icon "${iconName}" not found in react-icons/${iconSet}`
         );
       }
-      iconLogger.log(
-        "info",
-        `Icon "${iconName}" loaded successfully from react-icons/${iconSet}`
+      iconLogger.info(
+        `Icon "${iconName}" loaded successfully from react-icons/${iconSet}`,
+        { iconSet, iconName }
       );
       return { default: module[iconName] };
     })
   );
   iconCache.set(cacheKey, LazyIcon);
-  iconLogger.log("debug", `Caching icon ${cacheKey}`);
+  iconLogger.debug("Caching icon", { cacheKey });
   return LazyIcon;
 };
 
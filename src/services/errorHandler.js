@@ -1,5 +1,6 @@
 // Import the Logger service.
-import Logger from '@/services/logger.js';
+import Logger, { getActiveContext } from '@/services/logger.js';
+import { HttpError } from '@/services/httpErrors.js';
 
 /**
  * @typedef {Object} ErrorHandlerOptions
@@ -20,8 +21,8 @@ class ErrorHandler {
      * @param {ErrorHandlerOptions} options - Configuration options for the error handler.
      */
     constructor(options = {}) {
-        // Use the provided logger or default to a console logger.
-        this.logger = options.logger || new Logger({ type: 'console' });
+        // Use the provided logger or default to a console logger, namespaced to this service.
+        this.logger = (options.logger || new Logger({ type: 'console' })).child({ service: 'errorHandler' });
 
         // Determine if Sentry integration is enabled.
         this.sentryEnabled = options.sentryEnabled || false;
@@ -30,7 +31,7 @@ class ErrorHandler {
         // If Sentry integration is requested, ensure a DSN is provided.
         if (this.sentryEnabled) {
             if (!options.sentryDsn) {
-                this.logger.log('error', "Sentry integration is enabled, but no DSN was provided.");
+                this.logger.error("Sentry integration is enabled, but no DSN was provided.");
             } else {
                 // Dynamically import Sentry to keep the default dependency free.
                 import('@sentry/browser')
@@ -42,10 +43,10 @@ class ErrorHandler {
                             // Additional Sentry options can be added here.
                         });
                         this.sentry = Sentry;
-                        this.logger.log('info', 'Sentry has been initialized successfully.');
+                        this.logger.info('Sentry has been initialized successfully.');
                     })
                     .catch((err) => {
-                        this.logger.log('error', `Failed to load Sentry: ${err.message}`);
+                        this.logger.error(`Failed to load Sentry: ${err.message}`);
                     });
             }
         }
@@ -53,17 +54,28 @@ class ErrorHandler {
 
     /**
      * Captures an error, logs it, and optionally reports it to Sentry.
+     * Inside `runWithContext()`, the active context (e.g., a request ID) is attached to both.
+     *
+     * An {@link HttpError} from FetchService adds its code, status, URL, method and duration to the
+     * context. Aborted requests were cancelled on purpose, so they are logged at debug level only.
      *
      * @param {Error} error - The error to handle.
      * @param {Object} [context={}] - Additional context or metadata related to the error.
      */
     captureError(error, context = {}) {
+        const httpContext = error instanceof HttpError ? error.toContext() : {};
+        if (httpContext.code === 'ABORTED') {
+            this.logger.debug(error.message, { ...httpContext, ...context });
+            return;
+        }
+
         // Log the error using the logger.
-        this.logger.log('error', error.message || 'Unknown error');
+        this.logger.error(error.message || 'Unknown error', { ...httpContext, ...context, error });
 
         // If Sentry is enabled and has been initialized, report the error.
         if (this.sentryEnabled && this.sentry) {
-            this.sentry.captureException(error, { extra: context });
+            // Include fields from an enclosing runWithContext() call, such as the request ID.
+            this.sentry.captureException(error, { extra: { ...getActiveContext(), ...httpContext, ...context } });
         }
     }
 }
@@ -1,10 +1,256 @@
 // Import the Logger service.
 import Logger from '@/services/logger.js';
+import InterceptorManager from '@/services/interceptors.js';
+import {
+    HttpError,
+    HttpClientError,
+    HttpServerError,
+    NetworkError,
+    TimeoutError,
+    RequestAbortedError,
+    ResponseParseError
+} from '@/services/httpErrors.js';
+
+/**
+ * Redaction used by the default logger, so credentials in request options never reach the logs.
+ * Pass a logger configured with its own `redact` option to change what is masked.
+ * @constant {Object}
+ */
+const DEFAULT_REDACTION = {
+    paths: ['headers.authorization', 'headers.cookie', 'headers.x-api-key', 'password'],
+    patterns: ['bearerToken', 'jwt']
+};
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=3] - The total number of attempts, including the first. Use 1 to disable retries.
+ * @property {number} [baseDelay=300] - The delay, in milliseconds, before the first retry; it doubles with each further retry.
+ * @property {number} [maxDelay=10000] - The upper bound for the delay. A `Retry-After` longer than this ends the retries.
+ * @property {boolean} [jitter=true] - Randomize each delay between half and all of its value, so clients don't retry in lockstep.
+ * @property {number[]} [retryStatuses=[408, 429, 500, 502, 503, 504]] - Response statuses worth another attempt.
+ * @property {string[]} [methods=['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']] - The methods that are retried. Only idempotent
+ *   methods are retried by default, so a POST is never submitted twice.
+ */
+
+/**
+ * The retry policy applied when none is configured.
+ * @constant {RetryPolicy}
+ */
+const DEFAULT_RETRY = {
+    maxAttempts: 3,
+    baseDelay: 300,
+    maxDelay: 10000,
+    jitter: true,
+    retryStatuses: [408, 429, 500, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+/**
+ * Reads a `Retry-After` header, given either in seconds or as an HTTP date.
+ *
+ * @param {Response} response - The response to read.
+ * @returns {number|null} The requested delay in milliseconds, or null if the header is absent or invalid.
+ */
+function parseRetryAfter(response) {
+    const value = response.headers.get('Retry-After');
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Waits for the given delay, rejecting early with the signal's reason if it aborts.
+ *
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @returns {Promise<void>} Resolves after the delay.
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * The `Content-Type` each response type accepts by default; null accepts any.
+ * @constant {Object<string, RegExp|null>}
+ */
+const EXPECTED_CONTENT_TYPES = {
+    json: /[/+]json\b/i,
+    text: /^text\/|[/+](json|xml)\b/i,
+    blob: null
+};
+
+/**
+ * The number of body characters quoted in parse errors.
+ * @constant {number}
+ */
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Shortens a body for an error message, collapsing whitespace so HTML pages stay readable.
+ *
+ * @param {string} text - The body text.
+ * @returns {string} At most EXCERPT_LENGTH characters, with an ellipsis if truncated.
+ */
+function excerpt(text) {
+    const compact = text.replace(/\s+/g, ' ').trim();
+    return compact.length > EXCERPT_LENGTH ? `${compact.slice(0, EXCERPT_LENGTH)}…` : compact;
+}
+
+/**
+ * Prepares fetch options for logging. A JSON string body is parsed back into an object, so the
+ * logger's path redaction (e.g. `password`) reaches its fields; a serialized body would be logged as one opaque string.
+ *
+ * @param {RequestInit} fetchOptions - The fetch options being sent.
+ * @returns {RequestInit} The options to log; the originals are not modified.
+ */
+function loggableOptions(fetchOptions) {
+    const { body } = fetchOptions;
+    if (typeof body !== 'string' || !/^\s*[[{]/.test(body)) {
+        return fetchOptions;
+    }
+    try {
+        return { ...fetchOptions, body: JSON.parse(body) };
+    } catch {
+        return fetchOptions;
+    }
+}
+
+/**
+ * @typedef {Object} RequestConfig
+ * @property {string} url - The URL to request.
+ * @property {RequestInit} options - The fetch options, already merged with the service's `defaultOptions`.
+ * Request interceptors receive this object and return it (or a replacement) to change what is sent.
+ */
+
+/**
+ * @typedef {Object} ResponseContext
+ * @property {string} url - The requested URL.
+ * @property {string} method - The request method.
+ * @property {RequestInit} options - The fetch options that were sent.
+ * @property {number} attempt - The attempt number, starting at 1.
+ * Response interceptors receive this alongside the response (or the error, for `onError`).
+ */
+
+/**
+ * @typedef {RequestOptions & { contentType?: string|RegExp|false }} TypedRequestOptions
+ * Request options for the typed response helpers. `contentType` replaces the expected `Content-Type`
+ * (a substring or pattern), or disables the check with `false`.
+ */
+
+/**
+ * Reads an error response's body for an HttpError: parsed JSON for JSON content types, text otherwise.
+ *
+ * @param {Response} response - The error response.
+ * @returns {Promise<*>} The body, or undefined if it is empty or cannot be read.
+ */
+async function readErrorBody(response) {
+    try {
+        const text = await response.text();
+        if (!text) {
+            return undefined;
+        }
+        if (/[/+]json\b/i.test(response.headers.get('Content-Type') || '')) {
+            try {
+                return JSON.parse(text);
+            } catch {
+                // Servers sometimes label HTML error pages as JSON; keep the text.
+            }
+        }
+        return text;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Checks that the response interceptors produced a `Response`. Retries, `throwOnHttpError` and the
+ * typed helpers all read the status and headers, so interceptors that want to hand back parsed data
+ * should wrap it, e.g. `Response.json(data)`.
+ *
+ * @param {*} value - The value returned by the interceptors.
+ * @param {string} url - The requested URL, for the error message.
+ * @param {string} method - The request method, for the error message.
+ * @returns {Response} The value, if it is a Response.
+ * @throws {TypeError} If it is not.
+ */
+function ensureResponse(value, url, method) {
+    if (value instanceof Response) {
+        return value;
+    }
+    const type = value === null ? 'null' : typeof value;
+    throw new TypeError(`Response interceptors for ${method} ${url} must return a Response, got ${type}.`);
+}
+
+/**
+ * Network failures and timeouts raised by fetch itself, recorded before the response interceptors'
+ * `onError` handlers see them. Only these are retried or wrapped in a {@link NetworkError}; anything an
+ * interceptor throws, even a `TypeError` from a bug in its code, reaches the caller unchanged.
+ * @type {WeakSet<Error>}
+ */
+const transientFailures = new WeakSet();
+
+/**
+ * Combines abort signals into one that aborts, with the same reason, as soon as any of them does.
+ *
+ * @param {Array<AbortSignal|undefined>} signals - The signals to combine; missing ones are ignored.
+ * @returns {AbortSignal|undefined} The combined signal, or undefined if none were given.
+ */
+function composeSignals(signals) {
+    const active = signals.filter(Boolean);
+    if (active.length <= 1) {
+        return active[0];
+    }
+    if (typeof AbortSignal.any === 'function') {
+        return AbortSignal.any(active);
+    }
+    // Fallback for runtimes without AbortSignal.any.
+    const controller = new AbortController();
+    for (const signal of active) {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            break;
+        }
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    return controller.signal;
+}
 
 /**
  * @typedef {Object} FetchServiceOptions
- * @property {Logger} [logger] - A Logger instance to log API requests and responses. Defaults to a console logger if not provided.
+ * @property {Logger} [logger] - A Logger instance to log API requests and responses. Defaults to a console logger
+ *   that redacts authorization headers, cookies, API keys, passwords and bearer tokens.
  * @property {Object} [defaultOptions] - Default options for fetch requests, which will be merged with each call.
+ * @property {RetryPolicy|false} [retry] - The retry policy for every request; unset fields use the defaults. Pass `false` to
+ *   make a single attempt. Each request can override it with its own `retry` option.
+ * @property {number} [timeout] - Milliseconds each attempt may wait for a response before failing with a `TimeoutError`.
+ *   No timeout by default. Each request can override it with its own `timeout` option.
+ * @property {boolean} [throwOnHttpError=false] - Reject with an {@link HttpError} for non-2xx responses, network errors and
+ *   aborts instead of resolving with the response or rethrowing the native error. Each request can override it.
+ */
+
+/**
+ * @typedef {RequestInit & { retry?: RetryPolicy|false, timeout?: number, throwOnHttpError?: boolean }} RequestOptions
+ * Fetch options plus a per-request `retry` policy, merged over the service's policy (`false` disables retries),
+ * a per-request `timeout` in milliseconds (0 disables the service's timeout), and `throwOnHttpError`.
  */
 
 /**
@@ -12,6 +258,13 @@ import Logger from '@/services/logger.js';
  *
  * Provides a wrapper around the native fetch API with integrated logging.
  * It logs the start, completion, and any errors for each API request.
+ * Idempotent requests that fail with a network error or a transient status (408, 429, 5xx)
+ * are retried with exponential backoff and jitter, honoring `Retry-After`. Requests can be
+ * given a timeout and cancelled with a caller-supplied `AbortSignal`.
+ *
+ * Cross-cutting concerns such as auth headers belong in `interceptors`: request interceptors
+ * run once per request, before it is logged and sent; response interceptors run on every
+ * attempt's response (or network error), before the retry decision.
  */
 class FetchService {
     /**
@@ -19,52 +272,310 @@ class FetchService {
      * @param {FetchServiceOptions} options - Configuration options for the fetch service.
      */
     constructor(options = {}) {
-        // Use the provided logger, or default to a console logger.
-        this.logger = options.logger || new Logger({ type: 'console' });
+        // Use the provided logger, or default to a console logger, namespaced to this service.
+        this.logger = (options.logger || new Logger({ type: 'console', redact: DEFAULT_REDACTION })).child({ service: 'fetch' });
         // Set default fetch options that apply to every request.
         this.defaultOptions = options.defaultOptions || {};
+        // Set the retry policy that applies unless a request overrides it.
+        this.retry = options.retry === false ? { ...DEFAULT_RETRY, maxAttempts: 1 } : { ...DEFAULT_RETRY, ...options.retry };
+        // Set the timeout that applies unless a request overrides it.
+        this.timeout = options.timeout || 0;
+        // Decide whether failed requests reject with typed HttpErrors.
+        this.throwOnHttpError = Boolean(options.throwOnHttpError);
+        // Hold the handlers every request config and response passes through (see RequestConfig and ResponseContext).
+        this.interceptors = {
+            request: new InterceptorManager(),
+            response: new InterceptorManager()
+        };
+    }
+
+    /**
+     * Combines the service's retry policy with a request's override.
+     *
+     * @param {RetryPolicy|false|undefined} retry - The request's `retry` option.
+     * @param {string} method - The upper-case request method.
+     * @param {*} body - The request body; streams cannot be sent twice, so they are never retried.
+     * @returns {RetryPolicy} The policy, with `maxAttempts` of 1 when the request must not be retried.
+     */
+    retryPolicy(retry, method, body) {
+        const policy = retry === false ? { ...this.retry, maxAttempts: 1 } : { ...this.retry, ...retry };
+        const methods = policy.methods.map((allowed) => allowed.toUpperCase());
+        if (!methods.includes(method) || (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream)) {
+            policy.maxAttempts = 1;
+        }
+        return policy;
+    }
+
+    /**
+     * Computes the delay before the next attempt: exponential, capped, and optionally jittered.
+     *
+     * @param {RetryPolicy} policy - The retry policy.
+     * @param {number} attempt - The attempt that just failed, starting at 1.
+     * @returns {number} The delay in milliseconds.
+     */
+    backoffDelay(policy, attempt) {
+        const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+        return Math.round(policy.jitter ? delay / 2 + (Math.random() * delay) / 2 : delay);
+    }
+
+    /**
+     * Calls the native fetch, failing with a `TimeoutError` if no response arrives in time.
+     * The timeout covers waiting for the response headers, not reading the body.
+     *
+     * @param {string} url - The URL to request.
+     * @param {RequestInit} fetchOptions - The fetch options, including any caller `signal`.
+     * @param {string} method - The request method, used in the error message.
+     * @param {number} timeout - The timeout in milliseconds, or 0 for none.
+     * @returns {Promise<Response>} The response.
+     * @throws {TimeoutError} If the timeout elapses first.
+     */
+    async fetchWithTimeout(url, fetchOptions, method, timeout) {
+        if (!timeout) {
+            return fetch(url, fetchOptions);
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(new TimeoutError(url, method, timeout)), timeout);
+        try {
+            return await fetch(url, { ...fetchOptions, signal: composeSignals([fetchOptions.signal, controller.signal]) });
+        } catch (error) {
+            // Report the timeout itself rather than the generic abort it caused.
+            if (controller.signal.aborted && !fetchOptions.signal?.aborted) {
+                throw controller.signal.reason;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
     }
 
     /**
-     * Performs a fetch request and logs the process.
+     * Calls the native fetch for one attempt and passes the outcome through the response interceptors.
+     *
+     * @param {string} url - The URL to request.
+     * @param {RequestInit} fetchOptions - The fetch options.
+     * @param {string} method - The upper-case request method.
+     * @param {number} timeout - The timeout in milliseconds, or 0 for none.
+     * @param {number} attempt - The attempt number, passed to the interceptors.
+     * @returns {Promise<Response>} The response, as transformed by the interceptors.
+     * @throws {Error} The fetch error, unless an interceptor's `onError` recovered from it.
+     * @throws {TypeError} If the interceptors produce anything other than a `Response`.
+     */
+    async fetchAndIntercept(url, fetchOptions, method, timeout, attempt) {
+        const context = { url, method, options: fetchOptions, attempt };
+        let response;
+        try {
+            response = await this.fetchWithTimeout(url, fetchOptions, method, timeout);
+        } catch (error) {
+            // fetch reports network failures as TypeErrors.
+            if (error instanceof TypeError || error instanceof TimeoutError) {
+                transientFailures.add(error);
+            }
+            return ensureResponse(await this.interceptors.response.reject(error, context), url, method);
+        }
+        return ensureResponse(await this.interceptors.response.run(response, context), url, method);
+    }
+
+    /**
+     * Performs a fetch request and logs the process, retrying transient failures.
+     *
+     * Every attempt is logged. When the retries are exhausted, the last response is returned
+     * (even if it is an error status) or the last network error is thrown. Each attempt gets
+     * the full `timeout`; aborting the caller's `signal` cancels the request and any pending retry.
+     *
+     * With `throwOnHttpError`, a final non-2xx response rejects with an {@link HttpClientError} or
+     * {@link HttpServerError} carrying the parsed body, and network failures and aborts reject with a
+     * {@link NetworkError} or {@link RequestAbortedError}, so callers never parse an error page by mistake.
      *
      * @param {string} url - The URL to request.
-     * @param {RequestInit} [options] - Options for the fetch request.
+     * @param {RequestOptions} [options] - Options for the fetch request, plus optional `retry`, `timeout` and `throwOnHttpError`.
      * @returns {Promise<Response>} A promise that resolves to the fetch response.
+     * @throws {HttpError} With `throwOnHttpError`, if the request fails or the final response is not 2xx.
+     *   Errors thrown by interceptors are passed through unchanged.
      */
     async request(url, options = {}) {
         // Merge default options with the request-specific options.
-        const fetchOptions = { ...this.defaultOptions, ...options };
-
-        // Log the initiation of the request.
-        this.logger.log('info', `Starting request to ${url} with options: ${JSON.stringify(fetchOptions)}`);
+        const { retry, timeout = this.timeout, throwOnHttpError = this.throwOnHttpError, ...requestOptions } = options;
+        // Let request interceptors add headers or rewrite the URL before anything is logged or sent.
+        const config = await this.interceptors.request.run({ url, options: { ...this.defaultOptions, ...requestOptions } });
+        url = config.url;
+        const fetchOptions = config.options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const policy = this.retryPolicy(retry, method, fetchOptions.body);
+        const requestStart = Date.now();
 
+        let response;
         try {
+            response = await this.send(url, fetchOptions, method, policy, timeout);
+        } catch (error) {
+            if (!throwOnHttpError || error instanceof HttpError) {
+                throw error;
+            }
+            const details = { url, method, durationMs: Date.now() - requestStart, cause: error };
+            if (error.name === 'AbortError' || fetchOptions.signal?.aborted) {
+                throw new RequestAbortedError(`${method} ${url} was aborted`, details);
+            }
+            // Anything other than a network failure came from an interceptor.
+            if (transientFailures.has(error)) {
+                throw new NetworkError(`${method} ${url} failed: ${error.message}`, details);
+            }
+            throw error;
+        }
+
+        if (throwOnHttpError && !response.ok) {
+            throw HttpError.fromResponse(response, {
+                url,
+                method,
+                body: await readErrorBody(response),
+                durationMs: Date.now() - requestStart
+            });
+        }
+        // Return the raw response for further processing by the caller.
+        return response;
+    }
+
+    /**
+     * Runs the attempts of a request until one succeeds, fails for good, or the retries run out.
+     *
+     * @param {string} url - The URL to request.
+     * @param {RequestInit} fetchOptions - The merged fetch options.
+     * @param {string} method - The upper-case request method.
+     * @param {RetryPolicy} policy - The retry policy for this request.
+     * @param {number} timeout - The per-attempt timeout in milliseconds, or 0 for none.
+     * @returns {Promise<Response>} The last response received.
+     * @throws {Error} The last network error or timeout, or the abort reason.
+     */
+    async send(url, fetchOptions, method, policy, timeout) {
+        for (let attempt = 1; ; attempt++) {
+            // Log the initiation of the attempt.
+            this.logger.info(`Starting request to ${url}`, {
+                url,
+                method,
+                attempt,
+                options: loggableOptions(fetchOptions)
+            });
+
             // Record the start time.
             const startTime = Date.now();
-            // Perform the fetch call.
-            const response = await fetch(url, fetchOptions);
-            // Calculate the duration of the request.
-            const duration = Date.now() - startTime;
+            let response;
+            try {
+                // Perform the fetch call.
+                response = await this.fetchAndIntercept(url, fetchOptions, method, timeout, attempt);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    // The caller cancelled the request on purpose, so this is not a failure.
+                    this.logger.debug(`Request to ${url} was aborted`, { url, method, attempt });
+                    throw error;
+                }
+                // Network failures and timeouts are worth retrying; errors from interceptors are not.
+                const retryable = transientFailures.has(error) && attempt < policy.maxAttempts;
+                this.logger[retryable ? 'warn' : 'error'](`Error during request to ${url}: ${error.message}`, {
+                    url,
+                    method,
+                    attempt,
+                    error
+                });
+                if (!retryable) {
+                    // Propagate the error to the caller.
+                    throw error;
+                }
+                await this.waitBeforeRetry(url, method, attempt, this.backoffDelay(policy, attempt), fetchOptions.signal);
+                continue;
+            }
 
-            // Log the successful response.
-            this.logger.log('info', `Received response from ${url} in ${duration}ms with status: ${response.status}`);
+            // Log the response, whether or not it will be retried.
+            this.logger.info(`Received response from ${url}`, {
+                url,
+                method,
+                attempt,
+                status: response.status,
+                durationMs: Date.now() - startTime
+            });
 
-            // Return the raw response for further processing by the caller.
-            return response;
-        } catch (error) {
-            // Log any error encountered during the fetch call.
-            this.logger.log('error', `Error during request to ${url}: ${error.message}`);
-            // Propagate the error to the caller.
-            throw error;
+            if (attempt >= policy.maxAttempts || !policy.retryStatuses.includes(response.status)) {
+                return response;
+            }
+            const retryAfter = parseRetryAfter(response);
+            if (retryAfter !== null && retryAfter > policy.maxDelay) {
+                // The server asked for a longer pause than we are willing to wait; let the caller decide.
+                this.logger.warn(`Not retrying request to ${url}: Retry-After exceeds the maximum delay.`, {
+                    url,
+                    method,
+                    status: response.status,
+                    retryAfterMs: retryAfter,
+                    maxDelayMs: policy.maxDelay
+                });
+                return response;
+            }
+            // Release the connection; the discarded body is never read.
+            await response.body?.cancel();
+            await this.waitBeforeRetry(
+                url,
+                method,
+                attempt,
+                retryAfter !== null ? retryAfter : this.backoffDelay(policy, attempt),
+                fetchOptions.signal,
+                response.status
+            );
         }
     }
 
+    /**
+     * Logs an upcoming retry and waits for its delay.
+     *
+     * @param {string} url - The requested URL.
+     * @param {string} method - The request method.
+     * @param {number} attempt - The attempt that just failed.
+     * @param {number} delay - Milliseconds to wait.
+     * @param {AbortSignal} [signal] - The request's signal; aborting it cancels the wait.
+     * @param {number} [status] - The status that triggered the retry, if a response was received.
+     * @returns {Promise<void>} Resolves when the next attempt may start.
+     */
+    async waitBeforeRetry(url, method, attempt, delay, signal, status) {
+        this.logger.warn(`Retrying request to ${url} in ${delay}ms`, {
+            url,
+            method,
+            attempt,
+            nextAttempt: attempt + 1,
+            status,
+            delayMs: delay
+        });
+        await wait(delay, signal);
+    }
+
+    /**
+     * Creates a "latest wins" request function: each call aborts the previous call's request,
+     * so a superseded request (e.g. an outdated search) can never deliver a stale response.
+     * Superseded calls reject with an `AbortError`, which callers should ignore.
+     *
+     * @param {string} [method='request'] - The method each call uses; any method taking `(url, options)`,
+     *   such as 'get' or 'getJson'.
+     * @returns {function(string, RequestOptions=): Promise<*>} The request function. Call its
+     *   `abort()` method to cancel the current request, e.g. when a component unmounts.
+     *
+     * @example
+     * const search = fetchService.latest('getJson');
+     * search('/api/search?q=re');
+     * search('/api/search?q=react'); // Aborts the first request.
+     */
+    latest(method = 'request') {
+        let controller = null;
+        const run = (url, options = {}) => {
+            controller?.abort();
+            controller = new AbortController();
+            return this[method](url, { ...options, signal: composeSignals([options.signal, controller.signal]) });
+        };
+        run.abort = () => {
+            controller?.abort();
+            controller = null;
+        };
+        return run;
+    }
+
     /**
      * Performs a GET request.
      *
      * @param {string} url - The URL to request.
-     * @param {RequestInit} [options] - Additional fetch options for the GET request.
+     * @param {RequestOptions} [options] - Additional fetch options for the GET request, including `retry`.
      * @returns {Promise<Response>} A promise that resolves to the fetch response.
      */
     async get(url, options = {}) {
@@ -76,7 +587,7 @@ class FetchService {
      *
      * @param {string} url - The URL to request.
      * @param {*} body - The payload to send with the POST request.
-     * @param {RequestInit} [options] - Additional fetch options for the POST request.
+     * @param {RequestOptions} [options] - Additional fetch options for the POST request, including `retry`.
      * @returns {Promise<Response>} A promise that resolves to the fetch response.
      */
     async post(url, body, options = {}) {
@@ -96,7 +607,7 @@ class FetchService {
      *
      * @param {string} url - The URL to request.
      * @param {*} body - The payload to send with the PUT request.
-     * @param {RequestInit} [options] - Additional fetch options for the PUT request.
+     * @param {RequestOptions} [options] - Additional fetch options for the PUT request, including `retry`.
      * @returns {Promise<Response>} A promise that resolves to the fetch response.
      */
     async put(url, body, options = {}) {
@@ -110,11 +621,143 @@ class FetchService {
         return this.request(url, { ...options, method: 'PUT', body });
     }
 
+    /**
+     * Reads a successful response as the given type, validating its `Content-Type` and logging the size.
+     * Empty 204 and 205 responses are not parsed.
+     *
+     * @param {Response} response - The response to read.
+     * @param {'json'|'text'|'blob'} responseType - How to read the body.
+     * @param {Object} request - The request the response belongs to.
+     * @param {string} request.url - The requested URL.
+     * @param {string} request.method - The request method.
+     * @param {string|RegExp|false} [request.contentType] - Overrides the expected `Content-Type`, or `false` to skip the check.
+     * @returns {Promise<*>} The parsed JSON (null when empty), the text ('' when empty), or a Blob.
+     * @throws {ResponseParseError} If the `Content-Type` is unexpected or the JSON is invalid.
+     */
+    async readResponse(response, responseType, { url, method, contentType }) {
+        const details = { url, method, status: response.status, statusText: response.statusText };
+        const declaredType = response.headers.get('Content-Type') || '';
+        const expected = contentType !== undefined ? contentType : EXPECTED_CONTENT_TYPES[responseType];
+        const matches = !expected
+            || (expected instanceof RegExp ? expected.test(declaredType) : declaredType.toLowerCase().includes(expected.toLowerCase()));
+        const empty = response.status === 204 || response.status === 205;
+
+        if (!empty && !matches && responseType !== 'json') {
+            // Text and binary mismatches are rejected unread; an excerpt of binary data would be noise.
+            await response.body?.cancel();
+            throw new ResponseParseError(
+                `Expected ${expected instanceof RegExp ? `a ${responseType}` : `a "${expected}"`} response from ${method} ${url} ` +
+                    `but received "${declaredType || 'no Content-Type'}"`,
+                { ...details, code: 'UNEXPECTED_CONTENT_TYPE' }
+            );
+        }
+
+        let data;
+        let sizeBytes;
+        if (responseType === 'blob') {
+            data = empty ? new Blob([]) : await response.blob();
+            sizeBytes = data.size;
+        } else {
+            const text = empty ? '' : await response.text();
+            sizeBytes = new TextEncoder().encode(text).length;
+            if (text && !matches) {
+                // JSON endpoints often answer with an HTML error or login page; quote it to make that obvious.
+                throw new ResponseParseError(
+                    `Expected a JSON response from ${method} ${url} but received "${declaredType || 'no Content-Type'}": ${excerpt(text)}`,
+                    { ...details, code: 'UNEXPECTED_CONTENT_TYPE', body: excerpt(text) }
+                );
+            }
+            if (responseType === 'json') {
+                try {
+                    data = text ? JSON.parse(text) : null;
+                } catch (error) {
+                    throw new ResponseParseError(
+                        `Invalid JSON from ${method} ${url} (${error.message}): ${excerpt(text)}`,
+                        { ...details, body: excerpt(text), cause: error }
+                    );
+                }
+            } else {
+                data = text;
+            }
+        }
+
+        this.logger.info(`Parsed ${responseType} response from ${url}`, {
+            url,
+            method,
+            status: response.status,
+            responseType,
+            sizeBytes
+        });
+        return data;
+    }
+
+    /**
+     * Performs a GET request and returns the parsed JSON body.
+     * Non-2xx responses always reject with an {@link HttpError}, whatever `throwOnHttpError` says.
+     *
+     * @param {string} url - The URL to request.
+     * @param {TypedRequestOptions} [options] - Additional fetch options, plus `contentType`.
+     * @returns {Promise<*>} The parsed body, or null for an empty response.
+     * @throws {HttpError} If the request fails, or a {@link ResponseParseError} if the body is not JSON.
+     */
+    async getJson(url, options = {}) {
+        const { contentType, ...requestOptions } = options;
+        const response = await this.get(url, { ...requestOptions, throwOnHttpError: true });
+        return this.readResponse(response, 'json', { url, method: 'GET', contentType });
+    }
+
+    /**
+     * Performs a POST request with a JSON body and returns the parsed JSON response.
+     * Non-2xx responses always reject with an {@link HttpError}, whatever `throwOnHttpError` says.
+     *
+     * @param {string} url - The URL to request.
+     * @param {*} body - The payload; plain objects are sent as JSON.
+     * @param {TypedRequestOptions} [options] - Additional fetch options, plus `contentType`.
+     * @returns {Promise<*>} The parsed body, or null for an empty (e.g. 204) response.
+     * @throws {HttpError} If the request fails, or a {@link ResponseParseError} if the body is not JSON.
+     */
+    async postJson(url, body, options = {}) {
+        const { contentType, ...requestOptions } = options;
+        const response = await this.post(url, body, { ...requestOptions, throwOnHttpError: true });
+        return this.readResponse(response, 'json', { url, method: 'POST', contentType });
+    }
+
+    /**
+     * Performs a GET request and returns the body as text. Accepts `text/*`, JSON and XML content types.
+     * Non-2xx responses always reject with an {@link HttpError}, whatever `throwOnHttpError` says.
+     *
+     * @param {string} url - The URL to request.
+     * @param {TypedRequestOptions} [options] - Additional fetch options, plus `contentType`.
+     * @returns {Promise<string>} The body, or an empty string for an empty response.
+     * @throws {HttpError} If the request fails, or a {@link ResponseParseError} if the content type is not textual.
+     */
+    async getText(url, options = {}) {
+        const { contentType, ...requestOptions } = options;
+        const response = await this.get(url, { ...requestOptions, throwOnHttpError: true });
+        return this.readResponse(response, 'text', { url, method: 'GET', contentType });
+    }
+
+    /**
+     * Performs a GET request and returns the body as a Blob, e.g. for images and downloads.
+     * Any content type is accepted unless `contentType` is given.
+     * Non-2xx responses always reject with an {@link HttpError}, whatever `throwOnHttpError` says.
+     *
+     * @param {string} url - The URL to request.
+     * @param {TypedRequestOptions} [options] - Additional fetch options, plus `contentType` (e.g. 'image/').
+     * @returns {Promise<Blob>} The body.
+     * @throws {HttpError} If the request fails, or a {@link ResponseParseError} if the content type does not match.
+     */
+    async getBlob(url, options = {}) {
+        const { contentType, ...requestOptions } = options;
+        const response = await this.get(url, { ...requestOptions, throwOnHttpError: true });
+        return this.readResponse(response, 'blob', { url, method: 'GET', contentType });
+    }
+
     /**
      * Performs a DELETE request.
      *
      * @param {string} url - The URL to request.
-     * @param {RequestInit} [options] - Additional fetch options for the DELETE request.
+     * @param {RequestOptions} [options] - Additional fetch options for the DELETE request, including `retry`.
      * @returns {Promise<Response>} A promise that resolves to the fetch response.
      */
     async delete(url, options = {}) {
@@ -133,24 +776,55 @@ class FetchService {
 // Instantiate the FetchService with the default logger.
 // const apiService = new FetchService({ logger: defaultLogger });
 
+// Fetch and parse JSON in one call.
+// apiService.getJson('https://jsonplaceholder.typicode.com/posts/1')
+//   .then(post => defaultLogger.info(`Fetched post: ${post.title}`))
+//   .catch(error => defaultLogger.error(`GET JSON failed: ${error.message}`));
+
+// Add an auth header to every request and unwrap `{ data }` envelopes from every response.
+// const authId = apiService.interceptors.request.use(async (config) => {
+//   config.options.headers = { ...config.options.headers, Authorization: `Bearer ${await getToken()}` };
+//   return config;
+// });
+// apiService.interceptors.response.use(async (response) => {
+//   if (!response.headers.get('Content-Type')?.includes('json')) return response;
+//   const { data } = await response.clone().json();
+//   return data === undefined ? response : Response.json(data, { status: response.status, headers: response.headers });
+// });
+// apiService.interceptors.request.eject(authId);
+
+// Reject with typed errors instead of resolving with error responses.
+// const strictService = new FetchService({ logger: defaultLogger, throwOnHttpError: true });
+// strictService.get('https://jsonplaceholder.typicode.com/missing')
+//   .catch(error => {
+//     if (error instanceof HttpClientError) {
+//       defaultLogger.warn(`Not found: ${error.status}`, error.toContext());
+//     }
+//   });
+
+// Instantiate the FetchService with a custom retry policy.
+// const patientService = new FetchService({ logger: defaultLogger, retry: { maxAttempts: 5, baseDelay: 1000 } });
+// patientService.get('https://jsonplaceholder.typicode.com/posts/1', { retry: false });
+
 // Example GET request.
 // apiService.get('https://jsonplaceholder.typicode.com/posts/1')
 //   .then(response => response.json())
 //   .then(data => {
-//     defaultLogger.log('info', `GET request data: ${JSON.stringify(data)}`);
+//     defaultLogger.info(`GET request data: ${JSON.stringify(data)}`);
 //   })
 //   .catch(error => {
-//     defaultLogger.log('error', `GET request failed: ${error.message}`);
+//     defaultLogger.error(`GET request failed: ${error.message}`);
 //   });
 
 // Example POST request.
 // apiService.post('https://jsonplaceholder.typicode.com/posts', { title: 'foo', body: 'bar', userId: 1 })
 //   .then(response => response.json())
 //   .then(data => {
-//     defaultLogger.log('info', `POST request data: ${JSON.stringify(data)}`);
+//     defaultLogger.info(`POST request data: ${JSON.stringify(data)}`);
 //   })
 //   .catch(error => {
-//     defaultLogger.log('error', `POST request failed: ${error.message}`);
+//     defaultLogger.error(`POST request failed: ${error.message}`);
 //   });
 
+export { HttpError, HttpClientError, HttpServerError, NetworkError, TimeoutError, RequestAbortedError, ResponseParseError };
 export default FetchService;
@@ -0,0 +1,195 @@
+/**
+ * HTTP Error Types
+ *
+ * Errors raised by FetchService, so callers can tell failure modes apart with `instanceof`
+ * or the `code` property instead of parsing messages.
+ */
+
+/**
+ * @typedef {Object} HttpErrorDetails
+ * @property {string} url - The requested URL.
+ * @property {string} method - The request method.
+ * @property {number|null} [status=null] - The response status, or null if no response was received.
+ * @property {string} [statusText=''] - The response status text.
+ * @property {*} [body] - The response body: parsed JSON, text, or undefined if there was none.
+ * @property {number} [durationMs] - How long the request took, including retries.
+ * @property {string} [code='HTTP_ERROR'] - A stable identifier for the kind of failure.
+ * @property {Error} [cause] - The underlying error, e.g. the network failure.
+ */
+
+/**
+ * HttpError Class.
+ *
+ * Base class for failed requests. With `throwOnHttpError`, FetchService throws one of its
+ * subclasses instead of resolving with an error response:
+ * - {@link HttpClientError} (`CLIENT_ERROR`): a 4xx response.
+ * - {@link HttpServerError} (`SERVER_ERROR`): a 5xx response.
+ * - {@link NetworkError} (`NETWORK_ERROR`): no response, e.g. DNS failure or connection refused.
+ * - {@link TimeoutError} (`TIMEOUT`): no response within the request's `timeout`.
+ * - {@link RequestAbortedError} (`ABORTED`): the caller cancelled the request.
+ *
+ * The typed response helpers (`getJson()` and friends) also throw {@link ResponseParseError}.
+ */
+export class HttpError extends Error {
+    /**
+     * Creates an instance of HttpError.
+     * @param {string} message - The error message.
+     * @param {HttpErrorDetails} details - What was requested and what came back.
+     */
+    constructor(message, details) {
+        super(message, details.cause ? { cause: details.cause } : undefined);
+        this.name = 'HttpError';
+        this.code = details.code || 'HTTP_ERROR';
+        this.url = details.url;
+        this.method = details.method;
+        this.status = details.status ?? null;
+        this.statusText = details.statusText || '';
+        this.body = details.body;
+        this.durationMs = details.durationMs;
+    }
+
+    /**
+     * Creates the error matching a non-2xx response's status class.
+     *
+     * @param {Response} response - The error response.
+     * @param {Omit<HttpErrorDetails, 'status'|'statusText'|'code'>} details - The request details and parsed body.
+     * @returns {HttpError} An HttpClientError, HttpServerError, or HttpError for other statuses.
+     */
+    static fromResponse(response, details) {
+        const message = `${details.method} ${details.url} failed with ${response.status} ${response.statusText}`.trim();
+        const fields = { ...details, status: response.status, statusText: response.statusText };
+        if (response.status >= 500) {
+            return new HttpServerError(message, fields);
+        }
+        if (response.status >= 400) {
+            return new HttpClientError(message, fields);
+        }
+        return new HttpError(message, fields);
+    }
+
+    /**
+     * Returns the fields worth logging, without the (possibly large) body.
+     *
+     * @returns {Object} The code, status, status text, URL, method and duration.
+     */
+    toContext() {
+        return {
+            code: this.code,
+            status: this.status,
+            statusText: this.statusText,
+            url: this.url,
+            method: this.method,
+            durationMs: this.durationMs
+        };
+    }
+}
+
+/**
+ * HttpClientError Class.
+ *
+ * A 4xx response: the request itself was rejected, so repeating it unchanged will not help.
+ */
+export class HttpClientError extends HttpError {
+    /**
+     * Creates an instance of HttpClientError.
+     * @param {string} message - The error message.
+     * @param {HttpErrorDetails} details - What was requested and what came back.
+     */
+    constructor(message, details) {
+        super(message, { ...details, code: 'CLIENT_ERROR' });
+        this.name = 'HttpClientError';
+    }
+}
+
+/**
+ * HttpServerError Class.
+ *
+ * A 5xx response: the server failed to handle a request it may accept later.
+ */
+export class HttpServerError extends HttpError {
+    /**
+     * Creates an instance of HttpServerError.
+     * @param {string} message - The error message.
+     * @param {HttpErrorDetails} details - What was requested and what came back.
+     */
+    constructor(message, details) {
+        super(message, { ...details, code: 'SERVER_ERROR' });
+        this.name = 'HttpServerError';
+    }
+}
+
+/**
+ * NetworkError Class.
+ *
+ * No response was received, e.g. because the host is unreachable or CORS blocked the request.
+ * The original error is available as `cause`.
+ */
+export class NetworkError extends HttpError {
+    /**
+     * Creates an instance of NetworkError.
+     * @param {string} message - The error message.
+     * @param {HttpErrorDetails} details - What was requested and the underlying `cause`.
+     */
+    constructor(message, details) {
+        super(message, { ...details, code: 'NETWORK_ERROR' });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * TimeoutError Class.
+ *
+ * Thrown when a request gets no response within its `timeout`. Unlike an abort, which means
+ * the caller cancelled the request, a timeout usually means the server or network is slow,
+ * so it is worth reporting or retrying.
+ */
+export class TimeoutError extends HttpError {
+    /**
+     * Creates an instance of TimeoutError.
+     * @param {string} url - The requested URL.
+     * @param {string} method - The request method.
+     * @param {number} timeout - The timeout that elapsed, in milliseconds.
+     */
+    constructor(url, method, timeout) {
+        super(`${method} ${url} timed out after ${timeout}ms`, { url, method, code: 'TIMEOUT', durationMs: timeout });
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * RequestAbortedError Class.
+ *
+ * The caller cancelled the request through its `signal`. It keeps the standard `AbortError`
+ * name, so existing `err.name === 'AbortError'` checks still recognize it.
+ */
+export class RequestAbortedError extends HttpError {
+    /**
+     * Creates an instance of RequestAbortedError.
+     * @param {string} message - The error message.
+     * @param {HttpErrorDetails} details - What was requested and the underlying `cause`.
+     */
+    constructor(message, details) {
+        super(message, { ...details, code: 'ABORTED' });
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * ResponseParseError Class.
+ *
+ * A successful response could not be read as the expected type: its `Content-Type` did not match
+ * (`UNEXPECTED_CONTENT_TYPE`) or its body was not valid JSON (`PARSE_ERROR`). `body` holds an excerpt
+ * of the text that was received, which is usually enough to spot an HTML error page or proxy message.
+ */
+export class ResponseParseError extends HttpError {
+    /**
+     * Creates an instance of ResponseParseError.
+     * @param {string} message - The error message.
+     * @param {HttpErrorDetails} details - What was requested and what came back; `code` defaults to `PARSE_ERROR`.
+     */
+    constructor(message, details) {
+        super(message, { ...details, code: details.code || 'PARSE_ERROR' });
+        this.name = 'ResponseParseError';
+    }
+}
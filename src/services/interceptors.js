@@ -0,0 +1,114 @@
+/**
+ * @typedef {Object} Interceptor
+ * @property {Function} [onFulfilled] - Receives the current value and may return a replacement (or nothing to keep it).
+ * @property {Function} [onRejected] - Receives an error from an earlier stage and may return a value to recover.
+ */
+
+/**
+ * InterceptorManager Class.
+ *
+ * An ordered list of async handlers that a value passes through, as used by
+ * `fetchService.interceptors.request` and `fetchService.interceptors.response`.
+ * Handlers run in the order they were added. When a handler throws, the error skips
+ * ahead to the next `onRejected` handler, which can recover by returning a value;
+ * if none does, the error is thrown to the caller.
+ */
+class InterceptorManager {
+    /**
+     * Creates an empty InterceptorManager.
+     */
+    constructor() {
+        // Ejected handlers leave a null in their slot, so the IDs of later handlers stay valid.
+        this.handlers = [];
+    }
+
+    /**
+     * Adds a handler to the end of the pipeline.
+     *
+     * @param {Function} [onFulfilled] - Called with the value and a context object; may be async.
+     * @param {Function} [onRejected] - Called with the error and a context object; may be async.
+     * @returns {number} An ID to pass to `eject()`.
+     */
+    use(onFulfilled, onRejected) {
+        this.handlers.push({ onFulfilled, onRejected });
+        return this.handlers.length - 1;
+    }
+
+    /**
+     * Removes a handler added with `use()`.
+     *
+     * @param {number} id - The ID returned by `use()`.
+     */
+    eject(id) {
+        if (this.handlers[id]) {
+            this.handlers[id] = null;
+        }
+    }
+
+    /**
+     * Removes every handler.
+     */
+    clear() {
+        this.handlers = [];
+    }
+
+    /**
+     * Passes a value through the handlers.
+     *
+     * @param {*} value - The initial value.
+     * @param {Object} context - Extra information passed to every handler.
+     * @returns {Promise<*>} The final value.
+     * @throws {Error} The last error, if no `onRejected` handler recovered from it.
+     */
+    async run(value, context) {
+        return this.runPipeline({ value, failed: false }, context);
+    }
+
+    /**
+     * Passes an error through the handlers, giving each `onRejected` handler a chance to recover.
+     *
+     * @param {Error} error - The initial error.
+     * @param {Object} context - Extra information passed to every handler.
+     * @returns {Promise<*>} The value an `onRejected` handler recovered with, after the remaining handlers.
+     * @throws {Error} The error, if no handler recovered from it.
+     */
+    async reject(error, context) {
+        return this.runPipeline({ error, failed: true }, context);
+    }
+
+    /**
+     * Runs the pipeline from the given starting state.
+     *
+     * @param {{value?: *, error?: Error, failed: boolean}} state - The value or error entering the pipeline.
+     * @param {Object} context - Extra information passed to every handler.
+     * @returns {Promise<*>} The final value.
+     * @throws {Error} The final error, if the pipeline ends in a failed state.
+     */
+    async runPipeline(state, context) {
+        let { value, error, failed } = state;
+        // Copy the list so handlers added or ejected mid-run only affect later runs.
+        for (const handler of [...this.handlers]) {
+            const next = handler && (failed ? handler.onRejected : handler.onFulfilled);
+            if (typeof next !== 'function') {
+                continue;
+            }
+            try {
+                const result = await next(failed ? error : value, context);
+                // Returning nothing from onFulfilled keeps the value; onRejected must return one to recover.
+                if (result !== undefined || failed) {
+                    value = result;
+                }
+                failed = false;
+            } catch (err) {
+                error = err;
+                failed = true;
+            }
+        }
+        if (failed) {
+            throw error;
+        }
+        return value;
+    }
+}
+
+export default InterceptorManager;
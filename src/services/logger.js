@@ -1,142 +1,438 @@
-/* global Bun */  // Declare Bun as a global if available.
+/* global process */  // Declare process as a global if available.
 
-let Database = null;
-// Conditionally load bun:sqlite only if not in a browser environment.
-if (typeof window === "undefined") {
-    try {
-        // Dynamically import bun:sqlite. This code only runs in a server context.
-        Database = (await import("bun:sqlite")).Database;
-    } catch (err) {
-        console.error("Failed to load bun:sqlite:", err);
+import { LOG_LEVELS, assertLevel, isLevelAtLeast, normalizeLevel } from "@/services/logging/levels.js";
+import { mergeContext } from "@/services/logging/context.js";
+import { getActiveContext, runWithContext } from "@/services/logging/asyncContext.js";
+import { createRedactor } from "@/services/logging/redaction.js";
+import { Deduplicator, createSampler } from "@/services/logging/throttling.js";
+import { createTransport, registerTransport } from "@/services/logging/registry.js";
+import Transport from "@/services/logging/transport.js";
+import { readCsvEntries } from "@/services/logging/csvTransport.js";
+import { readJsonlEntries } from "@/services/logging/jsonlTransport.js";
+import { createLogIngestHandler } from "@/services/logging/ingestHandler.js";
+
+/**
+ * Reads an environment variable from Vite's `import.meta.env` or, on the server, `process.env`.
+ *
+ * @param {string} name - The variable name (e.g., 'VITE_LOG_LEVEL').
+ * @returns {string|undefined} The variable value, if set.
+ */
+function readEnv(name) {
+    if (import.meta.env && import.meta.env[name] !== undefined) {
+        return import.meta.env[name];
+    }
+    if (typeof process !== "undefined" && process.env) {
+        return process.env[name];
     }
+    return undefined;
+}
+
+/**
+ * Determines the default minimum level: `VITE_LOG_LEVEL` if set, otherwise 'debug'
+ * during Vite development and 'info' everywhere else.
+ *
+ * @returns {string} The default minimum level.
+ */
+function defaultMinLevel() {
+    const fromEnv = readEnv("VITE_LOG_LEVEL");
+    if (fromEnv) {
+        return fromEnv;
+    }
+    return import.meta.env && import.meta.env.DEV ? "debug" : "info";
 }
 
 /**
  * @typedef {Object} LoggerOptions
- * @property {string} [type='console'] - The logging type to use. Options: 'console', 'csv', or 'sqlite'.
- * @property {string} [filePath] - For CSV logging, the file path to store log entries.
+ * @property {string} [type='console'] - The logging type to use when `transports` is not given. Options: 'console', 'csv', 'jsonl', 'sqlite', 'http', 'indexeddb', 'otlp', or any registered transport type.
+ * @property {string} [filePath] - For CSV and JSONL logging, the file path to store log entries.
  * @property {string} [dbPath] - For SQLite logging, the database file path.
+ * @property {string} [url] - For HTTP, IndexedDB and OTLP logging, the endpoint that receives batches of entries.
+ * @property {string} [minLevel] - The least severe level that is written. One of 'trace', 'debug', 'info', 'warn', 'error' or 'fatal'.
+ *   Defaults to the `VITE_LOG_LEVEL` environment variable, or 'debug' in Vite development and 'info' otherwise.
+ * @property {import("@/services/logging/redaction.js").RedactionOptions} [redact] - Key paths and patterns to mask in messages and context
+ *   before any transport sees them.
+ * @property {Object<string, number>} [sampling] - Fraction of entries to keep per level, e.g. `{ debug: 0.1 }`. Unlisted levels are always kept.
+ * @property {import("@/services/logging/throttling.js").DedupeOptions} [dedupe] - Collapse repeats of the same level and message
+ *   within a time window into one summary entry with a `repeatCount`.
+ * @property {Array<Transport|Object>} [transports] - Targets to write to simultaneously. Each item is a transport instance
+ *   or a config object such as `{ type: 'sqlite', dbPath: './logs.db', minLevel: 'warn' }`.
  */
 
 /**
  * Logging Service Class.
  *
- * This class provides a unified interface for logging messages to different targets:
+ * This class provides a unified interface for logging messages to one or more transports:
  * - Console (default): Logs messages directly to the terminal.
  * - CSV: Appends log messages in CSV format to a text file.
+ * - JSONL: Appends one JSON object per line to a text file, ready for `jq` and log shippers.
  * - SQLite: Inserts log messages into a SQLite database for advanced querying using Bun's built-in API.
+ * - HTTP: Ships batches of log messages to a server endpoint, e.g. from the browser to the backend.
+ * - IndexedDB: Persists log messages in the browser and drains them to a server endpoint when online.
+ * - OTLP: Exports log messages as OpenTelemetry log records to a collector over OTLP/HTTP JSON.
+ *
+ * Entries below the configured minimum level are discarded before reaching any transport;
+ * each transport may then apply its own, stricter minimum level and formatter.
  */
 class Logger {
+    /**
+     * The supported severity levels, ordered from least to most severe.
+     * @type {string[]}
+     */
+    static LEVELS = LOG_LEVELS;
+
+    /**
+     * Registers a custom transport type so it can be used by name in `transports` configs.
+     * @type {function(string, function(Object): Transport): void}
+     */
+    static registerTransport = registerTransport;
+
+    /**
+     * Runs a function with fields attached to every entry it logs, across `await`s (see {@link runWithContext}).
+     * @type {function(Object, Function): *}
+     */
+    static runWithContext = runWithContext;
+
+    /**
+     * Streams the entries of a CSV log file, e.g. to import them into SQLite with `importEntries()`.
+     *
+     * @param {string} filePath - The CSV file written by a 'csv' transport.
+     * @param {import("@/services/logging/fileReader.js").ReadOptions} [options] - Set `follow` to keep yielding new entries.
+     * @returns {AsyncGenerator<import("@/services/logging/sqliteTransport.js").StoredLogEntry>} The entries in file order.
+     * @throws {Error} If the file is not a CSV log or a row is malformed.
+     *
+     * @example
+     * for await (const entry of Logger.readCsv("./logs.csv")) {
+     *     if (entry.level === "error") console.log(entry.timestamp, entry.message);
+     * }
+     */
+    static readCsv(filePath, options) {
+        return readCsvEntries(filePath, options);
+    }
+
+    /**
+     * Streams the entries of a JSON Lines log file.
+     *
+     * @param {string} filePath - The JSONL file written by a 'jsonl' transport.
+     * @param {import("@/services/logging/fileReader.js").ReadOptions} [options] - Set `follow` to keep yielding new entries.
+     * @returns {AsyncGenerator<import("@/services/logging/sqliteTransport.js").StoredLogEntry>} The entries in file order.
+     * @throws {Error} If a line is not a valid log record.
+     */
+    static readJsonl(filePath, options) {
+        return readJsonlEntries(filePath, options);
+    }
+
     /**
      * Creates an instance of the Logger.
      * @param {LoggerOptions} options - Configuration options for the logger.
+     * @throws {Error} If `minLevel` is not a known level, or a transport cannot be created.
      */
     constructor(options = {}) {
-        // Determine the logging type, defaulting to 'console' if not specified.
-        this.type = options.type || "console";
+        // Root loggers have no bound fields; child() adds them.
+        this.bindings = {};
+        this.parent = null;
 
-        // For CSV logging, use Bun's file I/O functions.
-        if (this.type === "csv") {
-            if (!options.filePath) {
-                throw new Error("CSV logging requires a 'filePath' option.");
-            }
-            this.filePath = options.filePath;
-            try {
-                // Check if file exists using Bun's file I/O.
-                Bun.statSync(this.filePath);
-            } catch {
-                // File doesn't exist; create it with a header.
-                Bun.writeFileSync(this.filePath, "timestamp,level,message\n");
-            }
-        } else if (this.type === "sqlite") {
-            // For SQLite logging, ensure we're not in the browser.
-            if (typeof window !== "undefined") {
-                console.warn(
-                    "SQLite logging is not supported in the browser. Falling back to console logging."
-                );
-                this.type = "console";
-            } else {
-                if (!options.dbPath) {
-                    throw new Error("SQLite logging requires a 'dbPath' option.");
-                }
-                this.dbPath = options.dbPath;
-                if (!Database) {
-                    console.error("Database module is not available.");
-                    this.type = "console";
-                } else {
-                    try {
-                        this.db = new Database(this.dbPath);
-                        // Create the logs table if it doesn't exist.
-                        this.db.run(
-                            `CREATE TABLE IF NOT EXISTS logs (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                timestamp TEXT,
-                level TEXT,
-                message TEXT
-              )`
-                        );
-                    } catch (err) {
-                        console.error("Failed to initialize SQLite database:", err);
-                        this.type = "console";
-                    }
-                }
-            }
-        }
-        // For console logging, nothing extra is needed.
+        // Set the minimum level, validating it so typos fail loudly at startup.
+        this.setLevel(options.minLevel || defaultMinLevel());
+
+        // Sensitive values are masked once here, so no transport ever receives them.
+        this.redact = options.redact ? createRedactor(options.redact) : null;
+
+        // Sampling and deduplication keep hot paths from swamping the transports.
+        this.sample = options.sampling ? createSampler(options.sampling) : null;
+        this.dedupe = options.dedupe ? new Deduplicator(options.dedupe, (entry) => this.writeEntry(entry)) : null;
+
+        // Build the transports, treating the legacy single-type options as one transport config.
+        // The logger-wide minLevel is applied by log(), so it is not repeated on the transport.
+        const configs = options.transports || [
+            { ...options, type: options.type || "console", minLevel: undefined },
+        ];
+        this.transports = configs.map((config) => createTransport(config));
+    }
+
+    /**
+     * Changes the minimum level at runtime, e.g. to turn a running app up to 'debug'.
+     * On a root logger this also applies to every child that has not set its own level.
+     *
+     * @param {string} level - The new minimum level.
+     * @throws {Error} If the level is not a known level.
+     */
+    setLevel(level) {
+        this.levelOverride = assertLevel(level);
+    }
+
+    /**
+     * The least severe level that is currently written: the level set on this logger,
+     * or else the nearest ancestor's.
+     * @type {string}
+     */
+    get minLevel() {
+        return this.levelOverride || this.parent.minLevel;
+    }
+
+    /**
+     * Checks whether entries at the given level would currently be written.
+     *
+     * @param {string} level - The level to check.
+     * @returns {boolean} True if the level is known and at or above the minimum level.
+     */
+    isLevelEnabled(level) {
+        const normalized = normalizeLevel(level);
+        return normalized !== null && isLevelAtLeast(normalized, this.minLevel);
     }
 
     /**
      * Logs a message with a specified severity level.
      *
+     * The optional context object is kept as structured data: it is pretty-printed
+     * in console mode, stored as a JSON column in CSV files, and written to the
+     * `context` column of the SQLite `logs` table (queryable with `json_extract`).
+     *
+     * Fields from an enclosing `runWithContext()` call (e.g., a request ID) are attached
+     * automatically, even across `await`s on the server.
+     *
+     * Levels are normalized (case and common aliases such as 'warning'); unknown levels
+     * are recorded as 'info' with a console warning rather than being dropped.
+     *
      * @param {string} level - The severity level (e.g., 'info', 'warn', 'error', 'debug').
      * @param {string} message - The log message to be recorded.
+     * @param {Object} [context] - Arbitrary structured fields to attach to the entry (e.g., `{ userId, durationMs }`).
      */
-    log(level, message) {
-        const timestamp = new Date().toISOString();
-        const formattedMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
+    log(level, message, context) {
+        const normalizedLevel = normalizeLevel(level);
+        if (!normalizedLevel) {
+            console.warn(`Unknown log level "${level}"; recording the entry as "info".`);
+            level = "info";
+        } else {
+            level = normalizedLevel;
+        }
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+        if (this.sample && !this.sample(level)) {
+            return;
+        }
 
-        switch (this.type) {
-            case "console": {
-                console.log(formattedMessage);
-                break;
-            }
-            case "csv": {
-                const safeMessage = message.replace(/"/g, '""');
-                const csvLine = `"${timestamp}","${level}","${safeMessage}"\n`;
-                Bun.write(this.filePath, csvLine, { append: true }).catch((err) => {
-                    console.error("Failed to write to the CSV file:", err);
-                });
-                break;
+        /** @type {import("@/services/logging/transport.js").LogEntry} */
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            // Fields from an enclosing runWithContext() come first, so bindings and per-call context win.
+            context: mergeContext({ ...getActiveContext(), ...this.bindings }, context),
+        };
+        if (this.redact) {
+            Object.assign(entry, this.redact(entry.message, entry.context));
+        }
+        if (this.dedupe && !this.dedupe.accept(entry)) {
+            return;
+        }
+        this.writeEntry(entry);
+    }
+
+    /**
+     * Hands a finished entry to every transport that accepts its level.
+     *
+     * @param {import("@/services/logging/transport.js").LogEntry} entry - The entry to write.
+     */
+    writeEntry(entry) {
+        for (const transport of this.transports) {
+            // Custom transports may be plain objects without level filtering.
+            if (typeof transport.accepts === "function" && !transport.accepts(entry.level)) {
+                continue;
             }
-            case "sqlite": {
-                try {
-                    this.db.run(
-                        `INSERT INTO logs (timestamp, level, message) VALUES (?, ?, ?)`,
-                        [timestamp, level, message]
-                    );
-                } catch (err) {
-                    console.error("Failed to insert log into SQLite database:", err);
-                }
-                break;
+            try {
+                transport.write(entry);
+            } catch (err) {
+                // One failing transport must not prevent the others from receiving the entry.
+                console.error("Log transport failed to write an entry:", err);
             }
-            default: {
-                console.log(formattedMessage);
-                break;
+        }
+    }
+
+    /**
+     * Writes previously recorded entries, keeping their original timestamps and levels.
+     *
+     * Entries bypass the logger's minimum level, sampling and deduplication — they were
+     * already filtered when first logged — but are still redacted and subject to each
+     * transport's own minimum level. Transports are flushed once all entries are written.
+     *
+     * @param {Iterable<import("@/services/logging/transport.js").LogEntry>|AsyncIterable<import("@/services/logging/transport.js").LogEntry>} entries - The entries to write.
+     * @returns {Promise<number>} The number of entries written.
+     * @throws {Error} If an entry has an unknown level.
+     *
+     * @example
+     * const store = new Logger({ type: "sqlite", dbPath: "./logs.db" });
+     * const imported = await store.importEntries(Logger.readCsv("./logs.csv"));
+     */
+    async importEntries(entries) {
+        let count = 0;
+        for await (const { timestamp, level, message, context } of entries) {
+            const entry = { timestamp, level: assertLevel(level), message, context: context || undefined };
+            if (this.redact) {
+                Object.assign(entry, this.redact(entry.message, entry.context));
             }
+            this.writeEntry(entry);
+            count++;
         }
+        await this.flush();
+        return count;
+    }
+
+    /**
+     * Logs a message at the 'trace' level.
+     * @param {string} message - The log message to be recorded.
+     * @param {Object} [context] - Structured fields to attach to the entry.
+     */
+    trace(message, context) {
+        this.log("trace", message, context);
+    }
+
+    /**
+     * Logs a message at the 'debug' level.
+     * @param {string} message - The log message to be recorded.
+     * @param {Object} [context] - Structured fields to attach to the entry.
+     */
+    debug(message, context) {
+        this.log("debug", message, context);
+    }
+
+    /**
+     * Logs a message at the 'info' level.
+     * @param {string} message - The log message to be recorded.
+     * @param {Object} [context] - Structured fields to attach to the entry.
+     */
+    info(message, context) {
+        this.log("info", message, context);
+    }
+
+    /**
+     * Logs a message at the 'warn' level.
+     * @param {string} message - The log message to be recorded.
+     * @param {Object} [context] - Structured fields to attach to the entry.
+     */
+    warn(message, context) {
+        this.log("warn", message, context);
+    }
+
+    /**
+     * Logs a message at the 'error' level.
+     * @param {string} message - The log message to be recorded.
+     * @param {Object} [context] - Structured fields to attach to the entry.
+     */
+    error(message, context) {
+        this.log("error", message, context);
     }
 
     /**
-     * Closes any resources used by the logger.
+     * Logs a message at the 'fatal' level.
+     * @param {string} message - The log message to be recorded.
+     * @param {Object} [context] - Structured fields to attach to the entry.
+     */
+    fatal(message, context) {
+        this.log("fatal", message, context);
+    }
+
+    /**
+     * Creates a child logger that stamps the given fields onto every entry.
+     *
+     * The child shares its parent's target (the same CSV file or SQLite connection), so
+     * creating one per module never opens additional files or databases. It follows the
+     * parent's minimum level, including later `setLevel()` calls on the parent, until its
+     * own `setLevel()` gives it an independent level.
+     * Bindings accumulate across generations, and per-call context overrides them.
      *
-     * For SQLite logging, this method ensures the database connection is properly terminated.
+     * @param {Object} bindings - Fields to attach to every entry (e.g., `{ module: 'icon' }`).
+     * @returns {Logger} The derived logger.
+     *
+     * @example
+     * const iconLogger = logger.child({ module: "icon" });
+     * iconLogger.debug("Icon cache hit", { cacheKey: "fa-FaBeer" });
+     */
+    child(bindings = {}) {
+        const child = Object.create(Logger.prototype);
+        Object.assign(child, this);
+        child.bindings = { ...this.bindings, ...bindings };
+        child.parent = this;
+        // Inherit the level through the parent chain rather than copying it.
+        child.levelOverride = null;
+        return child;
+    }
+
+    /**
+     * Reads entries back from the first transport that supports querying (the SQLite transport).
+     *
+     * @param {import("@/services/logging/sqliteTransport.js").LogQuery} [options={}] - Filters, paging and sort order.
+     * @returns {Promise<import("@/services/logging/sqliteTransport.js").StoredLogEntry[]>} The matching entries.
+     * @throws {Error} If no transport supports querying, or an option is invalid.
+     *
+     * @example
+     * const recentErrors = await logger.query({ minLevel: "error", since: Date.now() - 3600000, limit: 20 });
+     */
+    async query(options = {}) {
+        const store = this.transports.find((transport) => typeof transport.query === "function");
+        if (!store) {
+            throw new Error("Querying logs requires a SQLite transport.");
+        }
+        return store.query(options);
+    }
+
+    /**
+     * Deletes old entries from every transport that supports pruning (the SQLite transport).
+     *
+     * @param {import("@/services/logging/sqliteTransport.js").PruneOptions} [options={}] - Age and row limits, and whether to `VACUUM` afterwards.
+     *   Limits that are not given fall back to the transport's `retention` policy.
+     * @returns {Promise<number>} The total number of deleted entries.
+     * @throws {Error} If no transport supports pruning.
+     *
+     * @example
+     * await logger.prune({ maxAgeDays: 30, vacuum: true });
+     */
+    async prune(options = {}) {
+        const stores = this.transports.filter((transport) => typeof transport.prune === "function");
+        if (stores.length === 0) {
+            throw new Error("Pruning logs requires a SQLite transport.");
+        }
+        return stores.reduce((total, store) => total + store.prune(options), 0);
+    }
+
+    /**
+     * Flushes every transport that holds entries before writing them.
+     *
+     * File and SQLite transports buffer entries and write them in batches; call this when
+     * entries must be on disk before continuing. Buffers are also flushed automatically on
+     * `close()` and when the process exits.
+     *
+     * @returns {Promise<void>} Resolves once all transports have flushed.
+     */
+    async flush() {
+        if (this.dedupe) {
+            this.dedupe.flush();
+        }
+        await Promise.all(
+            this.transports.map((transport) =>
+                typeof transport.flush === "function" ? transport.flush() : undefined
+            )
+        );
+    }
+
+    /**
+     * Closes any resources used by the logger's transports.
+     *
+     * Buffered entries are flushed first. For SQLite logging, this method ensures the
+     * database connection is properly terminated.
+     * Child loggers do not own their transports, so closing one is a no-op; close the root logger instead.
      */
     close() {
-        if (this.type === "sqlite" && this.db) {
-            try {
-                this.db.close();
-            } catch (err) {
-                console.error("Error closing the SQLite database:", err);
+        if (this.parent) {
+            return;
+        }
+        // Report suppressed repeats before the transports shut down.
+        if (this.dedupe) {
+            this.dedupe.flush();
+        }
+        for (const transport of this.transports) {
+            if (typeof transport.close === "function") {
+                transport.close();
             }
         }
     }
@@ -149,12 +445,70 @@ class Logger {
 
 // const consoleLogger = new Logger({ type: "console" });
 // consoleLogger.log("info", "Logging to console.");
+// consoleLogger.log("info", "User signed in.", { userId: 42, durationMs: 118 });
+// consoleLogger.setLevel("debug");
+// consoleLogger.log("debug", "Now visible without a rebuild.");
+// const moduleLogger = consoleLogger.child({ module: "example" });
+// moduleLogger.info("Stamped with the module field.");
+
+// const csvLogger = new Logger({ type: "csv", filePath: "./logs.csv", contextColumns: ["requestId"] });
+// csvLogger.log("info", "Logging to CSV.", { requestId: "abc123" });
+// csvLogger.close();
+// const archive = new Logger({ type: "sqlite", dbPath: "./logs.db" });
+// archive.importEntries(Logger.readCsv("./logs.csv")).then((count) => console.log(`Imported ${count} entries.`));
 
-// const csvLogger = new Logger({ type: "csv", filePath: "./logs.csv" });
-// csvLogger.log("info", "Logging to CSV.");
+// const jsonlLogger = new Logger({ type: "jsonl", filePath: "./logs.jsonl" });
+// jsonlLogger.info("Logging to JSON Lines.", { requestId: "abc123" });
+// $ tail -f logs.jsonl | jq 'select(.level == "error")'
 
 // const sqliteLogger = new Logger({ type: "sqlite", dbPath: "./logs.db" });
-// sqliteLogger.log("info", "Logging to SQLite using Bun.");
+// sqliteLogger.log("info", "Logging to SQLite using Bun.", { requestId: "abc123" });
+// SELECT * FROM logs WHERE json_extract(context, '$.requestId') = 'abc123';
+// sqliteLogger.query({ minLevel: "warn", search: "timeout", limit: 10 }).then((entries) => console.table(entries));
+// sqliteLogger.prune({ maxAgeDays: 30, vacuum: true });
 // sqliteLogger.close();
 
+// const requestLogger = new Logger({ type: "console" });
+// Logger.runWithContext({ requestId: "abc123" }, async () => {
+//     await new Promise((resolve) => setTimeout(resolve, 10));
+//     requestLogger.info("Carries requestId after the await.");
+// });
+
+// const multiLogger = new Logger({
+//     minLevel: "debug",
+//     transports: [
+//         { type: "console" },
+//         { type: "sqlite", dbPath: "./logs.db", minLevel: "warn" },
+//     ],
+// });
+// multiLogger.warn("Written to the console and SQLite.");
+// multiLogger.debug("Written to the console only.");
+
+// const browserLogger = new Logger({
+//     transports: [{ type: "console" }, { type: "http", url: "/api/logs", minLevel: "info" }],
+// });
+// browserLogger.error("Shipped to the backend in the next batch.");
+
+// const offlineLogger = new Logger({ transports: [{ type: "indexeddb", url: "/api/logs", maxEntries: 5000 }] });
+// offlineLogger.warn("Stored in IndexedDB and delivered once the browser is back online.");
+
+// const otelLogger = new Logger({ transports: [{ type: "otlp", serviceName: "bunforge-api" }] });
+// otelLogger.info("Exported to the collector at localhost:4318.", { traceId: "4bf92f3577b34da6a3ce929d0e0e4736" });
+
+// const redactingLogger = new Logger({
+//     redact: { paths: ["headers.authorization", "password"], patterns: ["bearerToken", "email", "creditCard"] },
+// });
+// redactingLogger.info("Signed in jane@example.com", { password: "hunter2" }); // Both values are masked.
+
+// const hotPathLogger = new Logger({ minLevel: "debug", sampling: { debug: 0.1 }, dedupe: { window: 5000 } });
+// for (let i = 0; i < 100; i++) hotPathLogger.info("Cache hit"); // One entry now, one with repeatCount: 99 after 5s.
+
+// Server side: store browser logs from the HTTP transport alongside server logs.
+// const logStore = new Logger({ type: "sqlite", dbPath: "./logs.db" });
+// Bun.serve({ routes: { "/api/logs": createLogIngestHandler({ logger: logStore }) } });
+
+// Logger.registerTransport("memory", () => ({ entries: [], write(entry) { this.entries.push(entry); } }));
+// const memoryLogger = new Logger({ transports: [{ type: "memory" }] });
+
+export { Transport, registerTransport, createLogIngestHandler, runWithContext, getActiveContext };
 export default Logger;
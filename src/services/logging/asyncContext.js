@@ -0,0 +1,63 @@
+/**
+ * Async Log Context
+ *
+ * Carries fields such as a request ID through every `await` and callback of a unit of work,
+ * so all entries logged while handling it can be correlated. On the server this uses
+ * `AsyncLocalStorage`; in the browser, which lacks it, the context only covers the
+ * synchronous part of the callback.
+ */
+
+let storage = null;
+// Conditionally load node:async_hooks only if not in a browser environment.
+if (typeof window === "undefined") {
+    try {
+        const { AsyncLocalStorage } = await import("node:async_hooks");
+        storage = new AsyncLocalStorage();
+    } catch (err) {
+        console.error("Failed to load node:async_hooks; log context will not follow async calls:", err);
+    }
+}
+
+/**
+ * The context of the innermost synchronous `runWithContext()` call, used without AsyncLocalStorage.
+ * @type {Object|undefined}
+ */
+let syncContext;
+
+/**
+ * Returns the fields of the innermost active `runWithContext()` call.
+ *
+ * @returns {Object|undefined} The active context, or undefined outside any context.
+ */
+export function getActiveContext() {
+    return storage ? storage.getStore() : syncContext;
+}
+
+/**
+ * Runs a function with fields that every log entry written during it will carry,
+ * including entries written after any number of `await`s and from other services.
+ * Nested calls add to the outer context, and their fields win on conflict.
+ *
+ * @template T
+ * @param {Object} context - The fields to attach (e.g., `{ requestId }`).
+ * @param {function(): T} fn - The function to run; may be async.
+ * @returns {T} Whatever `fn` returns, e.g. its promise.
+ *
+ * @example
+ * Bun.serve({
+ *     fetch: (request) => runWithContext({ requestId: crypto.randomUUID() }, () => handle(request)),
+ * });
+ */
+export function runWithContext(context, fn) {
+    const merged = { ...getActiveContext(), ...context };
+    if (storage) {
+        return storage.run(merged, fn);
+    }
+    const previous = syncContext;
+    syncContext = merged;
+    try {
+        return fn();
+    } finally {
+        syncContext = previous;
+    }
+}
@@ -0,0 +1,164 @@
+/* global process */  // Declare process as a global if available.
+
+import Transport from "./transport.js";
+
+/**
+ * Buffered transports that still hold entries, flushed synchronously when the process exits or is signalled.
+ * @type {Set<BufferedTransport>}
+ */
+const openTransports = new Set();
+let exitHookInstalled = false;
+
+/**
+ * Synchronously flushes every open buffered transport.
+ */
+function flushOpenTransports() {
+    for (const transport of openTransports) {
+        transport.flushBuffer();
+    }
+}
+
+/**
+ * Installs process listeners that flush every open buffered transport: on 'exit' and 'beforeExit',
+ * and on SIGINT and SIGTERM, which end the process without emitting 'exit' by default.
+ * Does nothing in the browser, where there is no process to hook.
+ *
+ * A signal listener suppresses the default termination, so when no other listener handles the
+ * signal, this one removes itself and re-raises it to end the process as usual. Apps with their
+ * own signal handlers decide when to exit and should `await logger.close()` first.
+ */
+function installExitHook() {
+    if (exitHookInstalled || typeof process === "undefined" || typeof process.on !== "function") {
+        return;
+    }
+    exitHookInstalled = true;
+    process.on("exit", flushOpenTransports);
+    process.on("beforeExit", flushOpenTransports);
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+        const onSignal = () => {
+            flushOpenTransports();
+            if (process.listenerCount(signal) === 1) {
+                process.removeListener(signal, onSignal);
+                process.kill(process.pid, signal);
+            }
+        };
+        process.on(signal, onSignal);
+    }
+}
+
+/**
+ * @typedef {Object} BufferedTransportOptions
+ * @property {string} [minLevel] - The least severe level this transport writes.
+ * @property {string|function(import("./transport.js").LogEntry): string} [formatter] - A built-in formatter name or a function converting an entry to the text the transport writes.
+ * @property {number} [bufferSize=100] - Flush once this many entries are buffered. Use 1 to write every entry immediately.
+ * @property {number} [flushInterval=1000] - Flush buffered entries after at most this many milliseconds.
+ */
+
+/**
+ * Buffered Transport Class.
+ *
+ * Base class for transports that write in batches. `write(entry)` converts the entry
+ * with `prepare()` straight away (so later mutation of the context cannot change what
+ * is logged) and buffers the result; the buffer is handed to `writeBatch()` in order
+ * once it reaches `bufferSize`, after `flushInterval` milliseconds, on `flush()`,
+ * on `close()`, and when the process exits or receives SIGINT or SIGTERM. Batches are
+ * written synchronously, so entries always reach the target in the order they were logged.
+ */
+class BufferedTransport extends Transport {
+    /**
+     * Creates an instance of the BufferedTransport.
+     * @param {BufferedTransportOptions} options - Configuration options for the transport.
+     * @throws {Error} If `minLevel`, `bufferSize` or `flushInterval` is invalid.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.bufferSize = options.bufferSize !== undefined ? options.bufferSize : 100;
+        this.flushInterval = options.flushInterval !== undefined ? options.flushInterval : 1000;
+        if (!Number.isInteger(this.bufferSize) || this.bufferSize < 1) {
+            throw new Error("'bufferSize' must be a positive integer.");
+        }
+        if (typeof this.flushInterval !== "number" || this.flushInterval < 0) {
+            throw new Error("'flushInterval' must be a non-negative number of milliseconds.");
+        }
+        this.buffer = [];
+        this.timer = null;
+        installExitHook();
+    }
+
+    /**
+     * Converts an entry to the item stored in the buffer. Defaults to the formatted entry.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to convert.
+     * @returns {*} The buffered item passed to `writeBatch()`.
+     */
+    prepare(entry) {
+        return this.format(entry);
+    }
+
+    /**
+     * Writes a batch of prepared items to the target. Subclasses must override this method.
+     *
+     * @param {Array<*>} items - The prepared items, oldest first.
+     */
+    writeBatch() {
+        throw new Error(`${this.constructor.name} must implement writeBatch(items).`);
+    }
+
+    /**
+     * Buffers an entry, flushing immediately if the buffer is full.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to write.
+     */
+    write(entry) {
+        this.buffer.push(this.prepare(entry));
+        openTransports.add(this);
+        if (this.buffer.length >= this.bufferSize) {
+            this.flushBuffer();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flushBuffer(), this.flushInterval);
+            // Don't keep a Bun or Node process alive just to flush logs; the exit hook covers it.
+            if (typeof this.timer.unref === "function") {
+                this.timer.unref();
+            }
+        }
+    }
+
+    /**
+     * Synchronously writes every buffered item and clears the buffer.
+     */
+    flushBuffer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        openTransports.delete(this);
+        if (this.buffer.length === 0) {
+            return;
+        }
+        const items = this.buffer;
+        this.buffer = [];
+        try {
+            this.writeBatch(items);
+        } catch (err) {
+            console.error(`${this.constructor.name} failed to write ${items.length} log entries:`, err);
+        }
+    }
+
+    /**
+     * Writes every buffered entry to the target.
+     *
+     * @returns {Promise<void>} Resolves once the buffer has been written.
+     */
+    async flush() {
+        this.flushBuffer();
+    }
+
+    /**
+     * Flushes buffered entries. Subclasses that hold resources should call `super.close()` first.
+     */
+    close() {
+        this.flushBuffer();
+    }
+}
+
+export default BufferedTransport;
@@ -0,0 +1,58 @@
+import Transport from "./transport.js";
+import { serializeContext } from "./context.js";
+
+/**
+ * The console method used for each level, so browser devtools and terminals can filter by severity.
+ * @constant {Object<string, string>}
+ */
+const CONSOLE_METHODS = {
+    trace: "debug",
+    debug: "debug",
+    info: "info",
+    warn: "warn",
+    error: "error",
+    fatal: "error",
+};
+
+/**
+ * Console Transport Class.
+ *
+ * Writes entries to the console as `[timestamp] [LEVEL] message`, followed by the
+ * pretty-printed context when one is present. Use `formatter: 'pretty'` for colored
+ * output. Entries go to `console.debug`, `console.info`, `console.warn` or
+ * `console.error` according to their level.
+ */
+class ConsoleTransport extends Transport {
+    /**
+     * Formats an entry as a single header line plus indented JSON context.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to format.
+     * @returns {string} The formatted entry.
+     */
+    defaultFormat(entry) {
+        let formattedMessage = super.defaultFormat(entry);
+        const serializedContext = serializeContext(entry.context);
+        if (serializedContext) {
+            formattedMessage += `\n${JSON.stringify(JSON.parse(serializedContext), null, 2)}`;
+        }
+        return formattedMessage;
+    }
+
+    /**
+     * Writes an entry to the console method matching its level.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to write.
+     */
+    write(entry) {
+        const output = this.format(entry);
+        const method = CONSOLE_METHODS[entry.level] || "log";
+        // Formatters may return several console arguments, e.g. for %c styling.
+        if (Array.isArray(output)) {
+            console[method](...output);
+        } else {
+            console[method](output);
+        }
+    }
+}
+
+export default ConsoleTransport;
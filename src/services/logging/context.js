@@ -0,0 +1,65 @@
+/**
+ * Log Context Helpers
+ *
+ * Merges bound and per-call context fields and serializes them to JSON for storage.
+ */
+
+/**
+ * Combines a logger's bound fields with the context passed to a single call.
+ *
+ * @param {Object} bindings - Fields bound to the logger via `child()`.
+ * @param {*} [context] - The per-call context; non-object values are wrapped as `{ value }`.
+ * @returns {Object|undefined} The merged context, or undefined if both are empty.
+ */
+export function mergeContext(bindings, context) {
+    if (context !== undefined && context !== null && (typeof context !== "object" || Array.isArray(context))) {
+        context = { value: context };
+    }
+    if (!bindings || Object.keys(bindings).length === 0) {
+        return context;
+    }
+    return { ...bindings, ...context };
+}
+
+/**
+ * Serializes a log context object to a JSON string.
+ *
+ * Values that JSON cannot represent directly are normalized so a single bad field
+ * never drops the whole entry: Errors keep their name, message and stack, BigInts
+ * become strings, and circular references are replaced with "[Circular]".
+ *
+ * @param {Object} [context] - The structured context to serialize.
+ * @returns {string|null} The JSON string, or null when there is no context.
+ */
+export function serializeContext(context) {
+    if (context === undefined || context === null) {
+        return null;
+    }
+    if (typeof context !== "object" || Array.isArray(context)) {
+        // Wrap non-object values so every stored context is a JSON object.
+        context = { value: context };
+    }
+    if (Object.keys(context).length === 0) {
+        return null;
+    }
+    const seen = new WeakSet();
+    try {
+        return JSON.stringify(context, (key, value) => {
+            if (value instanceof Error) {
+                return { name: value.name, message: value.message, stack: value.stack };
+            }
+            if (typeof value === "bigint") {
+                return value.toString();
+            }
+            if (typeof value === "object" && value !== null) {
+                if (seen.has(value)) {
+                    return "[Circular]";
+                }
+                seen.add(value);
+            }
+            return value;
+        });
+    } catch (err) {
+        return JSON.stringify({ serializationError: err.message });
+    }
+}
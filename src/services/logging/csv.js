@@ -0,0 +1,115 @@
+/**
+ * CSV Encoding and Parsing
+ *
+ * RFC 4180 helpers shared by the CSV transport and reader: every field is quoted, quotes
+ * are doubled, records end with CRLF, and quoted fields may contain commas, quotes and
+ * line breaks. The parser is incremental, so large files can be streamed chunk by chunk.
+ */
+
+/**
+ * Quotes a field, doubling any embedded quotes.
+ *
+ * @param {*} value - The field value; null and undefined become empty fields.
+ * @returns {string} The quoted field.
+ */
+export function escapeCsvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Formats a record as a CRLF-terminated CSV row.
+ *
+ * @param {Array<*>} fields - The field values.
+ * @returns {string} The CSV row.
+ */
+export function formatCsvRow(fields) {
+    return `${fields.map(escapeCsvField).join(",")}\r\n`;
+}
+
+/**
+ * Creates an incremental RFC 4180 parser. Feed it text with `push()`; it returns every
+ * record completed so far and keeps partial records (including open quoted fields that
+ * span chunks) until more text arrives. Call `end()` to flush the final record.
+ *
+ * Lenient where harmless: bare LF line endings are accepted, and blank lines are skipped.
+ *
+ * @returns {{push: function(string): string[][], end: function(): string[][]}} The parser.
+ */
+export function createCsvParser() {
+    let field = "";
+    let record = [];
+    let inQuotes = false;
+    // A quote seen inside a quoted field may be an escaped quote or the closing quote.
+    let pendingQuote = false;
+    let fieldStarted = false;
+
+    const endField = () => {
+        record.push(field);
+        field = "";
+        fieldStarted = false;
+    };
+    const endRecord = (records) => {
+        endField();
+        // Skip blank lines rather than emitting a record with one empty field.
+        if (!(record.length === 1 && record[0] === "")) {
+            records.push(record);
+        }
+        record = [];
+    };
+
+    return {
+        push(text) {
+            const records = [];
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (pendingQuote) {
+                    pendingQuote = false;
+                    if (char === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    inQuotes = false;
+                }
+                if (inQuotes) {
+                    if (char === '"') {
+                        pendingQuote = true;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"' && !fieldStarted) {
+                    inQuotes = true;
+                    fieldStarted = true;
+                } else if (char === ",") {
+                    endField();
+                } else if (char === "\n") {
+                    endRecord(records);
+                } else if (char !== "\r") {
+                    field += char;
+                    fieldStarted = true;
+                }
+            }
+            return records;
+        },
+        end() {
+            const records = [];
+            pendingQuote = false;
+            inQuotes = false;
+            if (fieldStarted || field !== "" || record.length > 0) {
+                endRecord(records);
+            }
+            return records;
+        },
+    };
+}
+
+/**
+ * Parses a complete CSV string.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The records.
+ */
+export function parseCsv(text) {
+    const parser = createCsvParser();
+    return [...parser.push(text), ...parser.end()];
+}
@@ -0,0 +1,221 @@
+import FileTransport from "./fileTransport.js";
+import { serializeContext } from "./context.js";
+import { createCsvParser, formatCsvRow, parseCsv } from "./csv.js";
+import { readFileChunks } from "./fileReader.js";
+import { normalizeLevel } from "./levels.js";
+
+/**
+ * The columns every CSV log file starts with.
+ * @constant {string[]}
+ */
+const BASE_COLUMNS = ["timestamp", "level", "message"];
+
+/**
+ * Headers written by earlier versions of the CSV transport, before the `context` column existed.
+ * @constant {string[][]}
+ */
+const LEGACY_HEADERS = [BASE_COLUMNS];
+
+/**
+ * Converts a context value to a CSV field: strings are written as-is, everything else as JSON.
+ *
+ * @param {*} value - The context value.
+ * @returns {string} The field text, or an empty string if the value is missing.
+ */
+function toField(value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Converts a context column field back to a value, undoing {@link toField}. Fields that hold
+ * JSON numbers, booleans, objects or arrays are parsed; anything else stays a string.
+ *
+ * @param {string} field - The field text.
+ * @returns {*} The value.
+ */
+function fromField(field) {
+    try {
+        const value = JSON.parse(field);
+        return typeof value === "string" ? field : value;
+    } catch {
+        return field;
+    }
+}
+
+/**
+ * @typedef {import("./fileTransport.js").FileTransportOptions & {
+ *   contextColumns?: string[],
+ *   headerMismatch?: 'error'|'rotate'
+ * }} CsvTransportOptions
+ * `contextColumns` lists context fields promoted to their own columns (between `message`
+ * and `context`); the remaining fields stay in the JSON `context` column.
+ * `headerMismatch` decides what happens when an existing file has a different header:
+ * 'error' (default) refuses to open it, 'rotate' archives it and starts a new file.
+ * Files with the `timestamp,level,message` header of older versions are always archived.
+ */
+
+/**
+ * CSV Transport Class.
+ *
+ * Appends entries to a text file as RFC 4180 rows — every field quoted, quotes doubled,
+ * CRLF line endings — so messages containing commas, quotes or newlines survive a round
+ * trip. Columns are `timestamp,level,message`, any configured `contextColumns`, and a JSON
+ * `context` column holding the remaining fields. When appending to an existing file the
+ * header is checked against these columns first. Supports the rotation options of
+ * {@link FileTransport}. Only available on the server.
+ */
+class CsvTransport extends FileTransport {
+    /**
+     * Creates an instance of the CsvTransport.
+     * @param {CsvTransportOptions} options - Configuration options for the transport.
+     * @throws {Error} If `filePath` is missing, file I/O is unavailable, an option is invalid,
+     *   or the existing file's header does not match the configured columns.
+     */
+    constructor(options = {}) {
+        super(options, "CSV");
+        const contextColumns = options.contextColumns || [];
+        const reserved = [...BASE_COLUMNS, "context"];
+        for (const column of contextColumns) {
+            if (typeof column !== "string" || !column || reserved.includes(column)) {
+                throw new Error(`Invalid CSV context column "${column}".`);
+            }
+        }
+        this.contextColumns = contextColumns;
+        this.columns = [...BASE_COLUMNS, ...contextColumns, "context"];
+        this.openFile();
+    }
+
+    /**
+     * Writes the column header at the top of every new CSV file.
+     *
+     * @returns {string} The header row.
+     */
+    header() {
+        return formatCsvRow(this.columns);
+    }
+
+    /**
+     * Compares an existing header with the configured columns, ignoring quoting and line endings.
+     *
+     * @param {string} line - The first line of the existing file.
+     * @returns {boolean} True if the file has the same columns in the same order.
+     */
+    headerMatches(line) {
+        const [existing = []] = parseCsv(line);
+        return existing.length === this.columns.length && existing.every((column, i) => column === this.columns[i]);
+    }
+
+    /**
+     * Recognizes the `timestamp,level,message` header of files written before the `context` column.
+     *
+     * @param {string} line - The first line of the existing file.
+     * @returns {boolean} True if the file uses an older layout.
+     */
+    isLegacyHeader(line) {
+        const [existing = []] = parseCsv(line);
+        return LEGACY_HEADERS.some(
+            (columns) => existing.length === columns.length && existing.every((column, i) => column === columns[i])
+        );
+    }
+
+    /**
+     * Formats an entry as a CSV row.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to format.
+     * @returns {string} The CSV row.
+     */
+    defaultFormat(entry) {
+        // Serializing first normalizes Errors, BigInts and circular references in every column.
+        const serialized = serializeContext(entry.context);
+        const context = serialized ? JSON.parse(serialized) : {};
+        const promoted = this.contextColumns.map((column) => {
+            const value = context[column];
+            delete context[column];
+            return toField(value);
+        });
+        const rest = Object.keys(context).length > 0 ? JSON.stringify(context) : "";
+        return formatCsvRow([entry.timestamp, entry.level, entry.message, ...promoted, rest]);
+    }
+}
+
+/**
+ * Streams the entries of a CSV log file written by {@link CsvTransport}.
+ *
+ * Columns are matched by name, so files with any `contextColumns` (or the older
+ * `timestamp,level,message,context` layout) can be read; extra columns are merged back
+ * into each entry's context. With `follow`, new rows are yielded as they are appended,
+ * and rotated files are picked up from their new header.
+ *
+ * @param {string} filePath - The CSV file to read.
+ * @param {import("./fileReader.js").ReadOptions} [options={}] - Follow mode settings.
+ * @returns {AsyncGenerator<import("./sqliteTransport.js").StoredLogEntry>} The entries in file order,
+ *   without an `id`; `context` is null when the entry had none.
+ * @throws {Error} If the file cannot be read, the header lacks a required column, or a row is malformed.
+ */
+export async function* readCsvEntries(filePath, options = {}) {
+    let parser = createCsvParser();
+    let columns = null;
+    let row = 0;
+
+    const toEntry = (record) => {
+        row++;
+        if (record.length !== columns.length) {
+            throw new Error(`${filePath}: row ${row} has ${record.length} fields; expected ${columns.length}.`);
+        }
+        const fields = Object.fromEntries(columns.map((column, i) => [column, record[i]]));
+        const level = normalizeLevel(fields.level);
+        if (!level) {
+            throw new Error(`${filePath}: row ${row} has unknown level "${fields.level}".`);
+        }
+        let context = {};
+        if (fields.context) {
+            try {
+                context = JSON.parse(fields.context);
+            } catch (err) {
+                throw new Error(`${filePath}: row ${row} has an invalid context column: ${err.message}`);
+            }
+        }
+        for (const column of columns) {
+            if (!BASE_COLUMNS.includes(column) && column !== "context" && fields[column] !== "") {
+                context[column] = fromField(fields[column]);
+            }
+        }
+        return {
+            timestamp: fields.timestamp,
+            level,
+            message: fields.message,
+            context: Object.keys(context).length > 0 ? context : null,
+        };
+    };
+
+    const handle = function* (records) {
+        for (const record of records) {
+            if (!columns) {
+                columns = record;
+                const missing = BASE_COLUMNS.filter((column) => !columns.includes(column));
+                if (missing.length > 0) {
+                    throw new Error(`${filePath} is not a CSV log: missing the ${missing.join(", ")} column(s).`);
+                }
+                continue;
+            }
+            yield toEntry(record);
+        }
+    };
+
+    for await (const chunk of readFileChunks(filePath, options)) {
+        if (chunk === null) {
+            // The file was rotated; the new one starts with its own header.
+            parser = createCsvParser();
+            columns = null;
+            row = 0;
+            continue;
+        }
+        yield* handle(parser.push(chunk));
+    }
+    yield* handle(parser.end());
+}
+
+export default CsvTransport;
@@ -0,0 +1,42 @@
+import { afterEach, beforeEach, describe, expect, spyOn, test } from "bun:test";
+import { mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import CsvTransport from "./csvTransport.js";
+
+describe("CsvTransport", () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), "bunforge-csv-"));
+        filePath = join(dir, "logs.csv");
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("archives a file with the legacy timestamp,level,message header", () => {
+        const legacy = "timestamp,level,message\n2024-01-01T00:00:00.000Z,info,old entry\n";
+        writeFileSync(filePath, legacy);
+        const warn = spyOn(console, "warn").mockImplementation(() => {});
+
+        const transport = new CsvTransport({ filePath });
+        transport.close();
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+
+        expect(readFileSync(filePath, "utf8")).toBe('"timestamp","level","message","context"\r\n');
+        const archives = readdirSync(dir).filter((file) => file !== "logs.csv");
+        expect(archives).toHaveLength(1);
+        expect(readFileSync(join(dir, archives[0]), "utf8")).toBe(legacy);
+    });
+
+    test("still refuses a file with an unknown header", () => {
+        writeFileSync(filePath, "when,what\n");
+
+        expect(() => new CsvTransport({ filePath })).toThrow(/different CSV header/);
+        expect(readdirSync(dir)).toEqual(["logs.csv"]);
+    });
+});
@@ -0,0 +1,90 @@
+import { fs } from "./serverRuntime.js";
+
+/**
+ * @typedef {Object} ReadOptions
+ * @property {boolean} [follow=false] - Keep waiting for new data at the end of the file, like `tail -f`.
+ * @property {number} [pollInterval=1000] - How often, in milliseconds, to check for new data when following.
+ * @property {AbortSignal} [signal] - Stops following when aborted.
+ */
+
+/**
+ * Resolves after the given delay, or as soon as the signal aborts.
+ *
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cuts the wait short when aborted.
+ * @returns {Promise<void>} Resolves when the wait is over.
+ */
+function wait(ms, signal) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", done);
+            resolve();
+        }
+        signal?.addEventListener("abort", done);
+    });
+}
+
+/**
+ * Streams a text file in decoded chunks.
+ *
+ * When following, the reader polls for appended data after reaching the end of the file.
+ * If the file is rotated (replaced by a new file) or truncated, the old file is read to the
+ * end, then reading restarts at the top of the new file and `null` is yielded first so the
+ * caller can reset any parser state, such as a CSV header.
+ *
+ * @param {string} filePath - The file to read.
+ * @param {ReadOptions} [options={}] - Follow mode settings.
+ * @returns {AsyncGenerator<string|null>} Text chunks, with `null` marking a restart.
+ * @throws {Error} If file I/O is unavailable or the file cannot be opened.
+ */
+export async function* readFileChunks(filePath, options = {}) {
+    if (!fs) {
+        throw new Error("Reading log files requires server-side file I/O.");
+    }
+    const { follow = false, pollInterval = 1000, signal } = options;
+    const buffer = new Uint8Array(65536);
+    let fd = fs.openSync(filePath, "r");
+    let inode = fs.fstatSync(fd).ino;
+    let position = 0;
+    let decoder = new TextDecoder();
+
+    try {
+        while (!signal?.aborted) {
+            const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, position);
+            if (bytesRead > 0) {
+                position += bytesRead;
+                yield decoder.decode(buffer.subarray(0, bytesRead), { stream: true });
+                continue;
+            }
+            if (!follow) {
+                const rest = decoder.decode();
+                if (rest) {
+                    yield rest;
+                }
+                return;
+            }
+
+            // The old file has been read to the end; switch if the path now names a different file.
+            let stats = null;
+            try {
+                stats = fs.statSync(filePath);
+            } catch {
+                // Mid-rotation the path may briefly not exist; try again after the next wait.
+            }
+            if (stats && (stats.ino !== inode || stats.size < position)) {
+                fs.closeSync(fd);
+                fd = fs.openSync(filePath, "r");
+                inode = fs.fstatSync(fd).ino;
+                position = 0;
+                decoder = new TextDecoder();
+                yield null;
+                continue;
+            }
+            await wait(pollInterval, signal);
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
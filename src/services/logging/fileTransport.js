@@ -0,0 +1,299 @@
+/* global Bun */  // Declare Bun as a global if available.
+
+import BufferedTransport from "./bufferedTransport.js";
+import { fs, path } from "./serverRuntime.js";
+
+/**
+ * Multipliers for the size units accepted by `maxSize`.
+ * @constant {Object<string, number>}
+ */
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Parses a size such as `10485760`, `"512kb"` or `"10MB"` into bytes.
+ *
+ * @param {number|string} size - The size in bytes, or a string with a b/kb/mb/gb unit.
+ * @returns {number} The size in bytes.
+ * @throws {Error} If the size cannot be parsed.
+ */
+function parseSize(size) {
+    if (typeof size === "number" && size > 0) {
+        return size;
+    }
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(size));
+    if (!match) {
+        throw new Error(`Invalid maxSize "${size}". Use a byte count or a string such as "10MB".`);
+    }
+    return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()]);
+}
+
+/**
+ * Returns the local calendar day of a date as `YYYY-MM-DD`, used to detect daily rollover.
+ *
+ * @param {Date} date - The date to convert.
+ * @returns {string} The day key.
+ */
+function dayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * @typedef {Object} FileTransportOptions
+ * @property {string} filePath - The file path to store log entries.
+ * @property {string} [minLevel] - The least severe level this transport writes.
+ * @property {string|function(import("./transport.js").LogEntry): string} [formatter] - Converts an entry to a line: a built-in
+ *   formatter name ('json', 'logfmt' or 'pretty') or a custom function. A trailing newline is added if missing.
+ * @property {number} [bufferSize=100] - Flush once this many entries are buffered. Use 1 to write every entry immediately.
+ * @property {number} [flushInterval=1000] - Flush buffered entries after at most this many milliseconds.
+ * @property {number|string} [maxSize] - Roll the file over before it would exceed this size (bytes, or e.g. "10MB").
+ * @property {'daily'} [interval] - Roll the file over when the local calendar day changes.
+ * @property {number} [maxFiles] - The number of archives to keep; older ones are deleted. Unlimited by default.
+ * @property {boolean} [compress=false] - Gzip archives with Bun's built-in compression.
+ * @property {'error'|'rotate'} [headerMismatch='error'] - What to do when an existing file's header differs from
+ *   the one this transport writes: 'error' refuses to append to it, 'rotate' archives it and starts a new file.
+ */
+
+/**
+ * File Transport Class.
+ *
+ * Base class for transports that append lines to a text file. Lines are buffered and
+ * appended in a single write per batch (see {@link BufferedTransport}). The transport
+ * creates the file (with an optional header) on first use, checks the header of an existing
+ * file before appending to it, and handles rotation: when the size or
+ * daily interval limit is reached, the file is renamed to a timestamped archive
+ * (`logs.2025-03-01T12-00-00-000Z.csv`), optionally gzipped, and archives beyond
+ * `maxFiles` are pruned. Only available on the server.
+ */
+class FileTransport extends BufferedTransport {
+    /**
+     * Creates an instance of the FileTransport.
+     * @param {FileTransportOptions} options - Configuration options for the transport.
+     * @param {string} label - The format name used in error messages (e.g., 'CSV').
+     * Subclasses call `openFile()` at the end of their own constructor, once `header()` can be computed.
+     * @throws {Error} If `filePath` is missing, file I/O is unavailable, or a rotation option is invalid.
+     */
+    constructor(options = {}, label = "File") {
+        super(options);
+        this.label = label;
+        if (!options.filePath) {
+            throw new Error(`${label} logging requires a 'filePath' option.`);
+        }
+        if (!fs) {
+            throw new Error(`${label} logging requires server-side file I/O.`);
+        }
+        if (options.interval !== undefined && options.interval !== "daily") {
+            throw new Error(`Unsupported rotation interval "${options.interval}". Only 'daily' is supported.`);
+        }
+        if (options.compress && typeof Bun === "undefined") {
+            throw new Error("Compressing log archives requires the Bun runtime.");
+        }
+        if (options.headerMismatch !== undefined && !["error", "rotate"].includes(options.headerMismatch)) {
+            throw new Error(`Invalid headerMismatch "${options.headerMismatch}". Use 'error' or 'rotate'.`);
+        }
+        this.filePath = options.filePath;
+        this.maxSize = options.maxSize !== undefined ? parseSize(options.maxSize) : null;
+        this.interval = options.interval || null;
+        this.maxFiles = options.maxFiles !== undefined ? options.maxFiles : null;
+        this.compress = Boolean(options.compress);
+        this.headerMismatch = options.headerMismatch || "error";
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * The text written at the top of every new file. Subclasses override this to add a header row.
+     *
+     * @returns {string} The header, or an empty string for none.
+     */
+    header() {
+        return "";
+    }
+
+    /**
+     * Checks whether an existing file's first line matches the header this transport writes.
+     * Subclasses override this to compare parsed columns rather than raw text.
+     *
+     * @param {string} line - The first line of the existing file, without its line ending.
+     * @returns {boolean} True if new lines can be appended to the file.
+     */
+    headerMatches(line) {
+        return line === this.header().replace(/\r?\n$/, "");
+    }
+
+    /**
+     * Checks whether an existing file's first line is a header written by an older version of
+     * this transport. Such files are always archived, whatever `headerMismatch` says, so upgrading
+     * never fails at startup. Subclasses with a header override this.
+     *
+     * @param {string} line - The first line of the existing file, without its line ending.
+     * @returns {boolean} True if the file uses a known older layout.
+     */
+    isLegacyHeader() {
+        return false;
+    }
+
+    /**
+     * Reads the first line of the current file.
+     *
+     * @returns {string} The line without its line ending.
+     */
+    readFirstLine() {
+        const fd = fs.openSync(this.filePath, "r");
+        try {
+            // Headers are short; 64KB comfortably covers any realistic column list.
+            const buffer = new Uint8Array(65536);
+            const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+            return new TextDecoder().decode(buffer.subarray(0, bytesRead)).split("\n")[0].replace(/\r$/, "");
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Creates the file with its header if it does not exist and records its size and period.
+     * An existing file with an older layout is archived; one with any other header is rejected
+     * or archived, per `headerMismatch`.
+     *
+     * @throws {Error} If the existing file's header does not match and `headerMismatch` is 'error'.
+     */
+    openFile() {
+        const header = this.header();
+        const firstLine =
+            !fs.existsSync(this.filePath) || fs.statSync(this.filePath).size === 0 ? null : this.readFirstLine();
+        if (firstLine === null) {
+            // File doesn't exist or is empty; start it with a header.
+            fs.writeFileSync(this.filePath, header);
+        } else if (header && !this.headerMatches(firstLine)) {
+            if (this.isLegacyHeader(firstLine)) {
+                console.warn(`Archiving ${this.filePath}, which has a ${this.label} header from an older version.`);
+            } else if (this.headerMismatch !== "rotate") {
+                throw new Error(
+                    `${this.filePath} has a different ${this.label} header than this transport writes. ` +
+                    "Move the file aside or set headerMismatch: 'rotate' to archive it automatically."
+                );
+            }
+            // rotate() archives the file and calls openFile() again for the fresh one.
+            this.rotate();
+            return;
+        }
+        const stats = fs.statSync(this.filePath);
+        this.size = stats.size;
+        this.headerSize = this.encoder.encode(header).length;
+        this.period = dayKey(stats.mtime);
+    }
+
+    /**
+     * Checks whether writing a line of the given size must first roll the file over.
+     *
+     * @param {number} bytes - The size of the line about to be written.
+     * @returns {boolean} True if the file should be rotated.
+     */
+    shouldRotate(bytes) {
+        if (this.interval === "daily" && dayKey(new Date()) !== this.period) {
+            return true;
+        }
+        // Never rotate a file that holds nothing but its header, or a single oversized line would loop.
+        return this.maxSize !== null && this.size > this.headerSize && this.size + bytes > this.maxSize;
+    }
+
+    /**
+     * Moves the current file to a timestamped archive, compresses it if configured,
+     * prunes old archives, and starts a fresh file.
+     */
+    rotate() {
+        const { dir, name, ext } = path.parse(this.filePath);
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        let archivePath = path.join(dir, `${name}.${stamp}${ext}`);
+        for (let attempt = 1; fs.existsSync(archivePath) || fs.existsSync(`${archivePath}.gz`); attempt++) {
+            archivePath = path.join(dir, `${name}.${stamp}-${attempt}${ext}`);
+        }
+
+        fs.renameSync(this.filePath, archivePath);
+        if (this.compress) {
+            fs.writeFileSync(`${archivePath}.gz`, Bun.gzipSync(fs.readFileSync(archivePath)));
+            fs.unlinkSync(archivePath);
+        }
+        this.openFile();
+        this.pruneArchives();
+    }
+
+    /**
+     * Lists this file's archives, oldest first.
+     *
+     * @returns {string[]} The archive file paths.
+     */
+    listArchives() {
+        const { dir, name, ext } = path.parse(this.filePath);
+        const prefix = `${name}.`;
+        const archives = [];
+        for (const file of fs.readdirSync(dir || ".")) {
+            if (!file.startsWith(prefix) || !(file.endsWith(ext) || file.endsWith(`${ext}.gz`))) {
+                continue;
+            }
+            // Archive names are `<name>.<ISO stamp>[-<n>]<ext>[.gz]`; the counter breaks stamp ties.
+            const match = /^(\d{4}-\d{2}-\d{2}T[\d-]+Z)(?:-(\d+))?\./.exec(file.slice(prefix.length));
+            if (match) {
+                archives.push({ file, stamp: match[1], counter: Number(match[2] || 0) });
+            }
+        }
+        return archives
+            .sort((a, b) => a.stamp.localeCompare(b.stamp) || a.counter - b.counter)
+            .map((archive) => path.join(dir, archive.file));
+    }
+
+    /**
+     * Deletes the oldest archives beyond the `maxFiles` retention count.
+     */
+    pruneArchives() {
+        if (this.maxFiles === null) {
+            return;
+        }
+        const archives = this.listArchives();
+        for (const archive of archives.slice(0, Math.max(0, archives.length - this.maxFiles))) {
+            try {
+                fs.unlinkSync(archive);
+            } catch (err) {
+                console.error(`Failed to delete old ${this.label} log archive:`, err);
+            }
+        }
+    }
+
+    /**
+     * Formats an entry as a single newline-terminated line.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to convert.
+     * @returns {string} The line to append.
+     */
+    prepare(entry) {
+        const line = this.format(entry);
+        return line.endsWith("\n") ? line : `${line}\n`;
+    }
+
+    /**
+     * Appends a batch of formatted lines to the file, rotating between lines whenever a limit is reached.
+     *
+     * @param {string[]} lines - The formatted lines, oldest first.
+     */
+    writeBatch(lines) {
+        let chunk = "";
+        for (const line of lines) {
+            const bytes = this.encoder.encode(line).length;
+            if (this.shouldRotate(bytes)) {
+                // Lines gathered so far belong to the file being archived.
+                if (chunk) {
+                    fs.appendFileSync(this.filePath, chunk);
+                    chunk = "";
+                }
+                this.rotate();
+            }
+            chunk += line;
+            this.size += bytes;
+        }
+        if (chunk) {
+            fs.appendFileSync(this.filePath, chunk);
+        }
+    }
+}
+
+export default FileTransport;
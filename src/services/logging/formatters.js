@@ -0,0 +1,184 @@
+/* global process */  // Declare process as a global if available.
+
+import { serializeContext } from "./context.js";
+
+/**
+ * Log Formatters
+ *
+ * Built-in formatters that convert a log entry to output text, selectable by name in
+ * any transport's `formatter` option ('pretty', 'json' or 'logfmt'). A formatter is a
+ * function of the entry returning a string; formatters meant for the console may also
+ * return an array of console arguments (used for `%c` styling in browser devtools).
+ */
+
+/**
+ * ANSI color codes per level for terminal output.
+ * @constant {Object<string, string>}
+ */
+const ANSI_COLORS = {
+    trace: "\x1b[90m",
+    debug: "\x1b[36m",
+    info: "\x1b[32m",
+    warn: "\x1b[33m",
+    error: "\x1b[31m",
+    fatal: "\x1b[41m\x1b[97m",
+};
+const ANSI_DIM = "\x1b[2m";
+const ANSI_RESET = "\x1b[0m";
+
+/**
+ * CSS styles per level for the `%c` directive in browser devtools.
+ * @constant {Object<string, string>}
+ */
+const CSS_STYLES = {
+    trace: "color: #888",
+    debug: "color: #0aa",
+    info: "color: #2a2",
+    warn: "color: #c80",
+    error: "color: #d22; font-weight: bold",
+    fatal: "color: #fff; background: #d22; font-weight: bold; padding: 0 4px",
+};
+
+/**
+ * Returns the entry's context as a plain object that is safe to stringify, or null if empty.
+ *
+ * @param {import("./transport.js").LogEntry} entry - The entry.
+ * @returns {Object|null} The normalized context.
+ */
+function plainContext(entry) {
+    const serializedContext = serializeContext(entry.context);
+    return serializedContext ? JSON.parse(serializedContext) : null;
+}
+
+/**
+ * Checks whether terminal output should be colored: stdout is a TTY and `NO_COLOR` is not set.
+ *
+ * @returns {boolean} True if ANSI colors should be used.
+ */
+function supportsAnsiColor() {
+    return (
+        typeof process !== "undefined" &&
+        Boolean(process.stdout && process.stdout.isTTY) &&
+        !(process.env && process.env.NO_COLOR)
+    );
+}
+
+/**
+ * Human-friendly colored output. In the browser it returns `%c`-styled console arguments
+ * with the context as an inspectable object; elsewhere it returns a string with ANSI colors
+ * (when writing to a terminal) and the context as indented JSON.
+ *
+ * @param {import("./transport.js").LogEntry} entry - The entry to format.
+ * @returns {string|Array<*>} The formatted output.
+ */
+export function pretty(entry) {
+    const context = plainContext(entry);
+    const label = entry.level.toUpperCase().padEnd(5);
+
+    if (typeof window !== "undefined") {
+        const args = [`%c${entry.timestamp} %c${label}%c ${entry.message}`, "color: #888", CSS_STYLES[entry.level], ""];
+        if (context) {
+            args.push(context);
+        }
+        return args;
+    }
+
+    const colors = supportsAnsiColor();
+    const paint = (code, text) => (colors ? `${code}${text}${ANSI_RESET}` : text);
+    let output = `${paint(ANSI_DIM, entry.timestamp)} ${paint(ANSI_COLORS[entry.level], label)} ${entry.message}`;
+    if (context) {
+        output += `\n${paint(ANSI_DIM, JSON.stringify(context, null, 2))}`;
+    }
+    return output;
+}
+
+/**
+ * Single-line JSON with `timestamp`, `level`, `message` and `context` fields.
+ *
+ * @param {import("./transport.js").LogEntry} entry - The entry to format.
+ * @returns {string} The JSON text.
+ */
+export function json(entry) {
+    return JSON.stringify({
+        timestamp: entry.timestamp,
+        level: entry.level,
+        message: entry.message,
+        context: plainContext(entry),
+    });
+}
+
+/**
+ * Formats a value for logfmt, quoting it when it contains spaces, quotes, '=' or is empty.
+ *
+ * @param {*} value - The value to format.
+ * @returns {string} The logfmt value.
+ */
+function logfmtValue(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[\s"=\\]/.test(text) || text === "" ? JSON.stringify(text) : text;
+}
+
+/**
+ * Flattens nested context objects into dotted keys, e.g. `{ user: { id: 1 } }` to `user.id=1`.
+ *
+ * @param {Object} object - The object to flatten.
+ * @param {string} [prefix=''] - The key prefix for nested values.
+ * @param {Array<[string, *]>} [pairs=[]] - Accumulated key/value pairs.
+ * @returns {Array<[string, *]>} The flattened pairs.
+ */
+function flatten(object, prefix = "", pairs = []) {
+    for (const [key, value] of Object.entries(object)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+            flatten(value, path, pairs);
+        } else {
+            pairs.push([path, Array.isArray(value) ? JSON.stringify(value) : value]);
+        }
+    }
+    return pairs;
+}
+
+/**
+ * logfmt key=value pairs (`ts=... level=info msg="..." user.id=1`), as understood by
+ * Grafana Loki, Heroku and similar tools. Nested context keys are dot-joined.
+ *
+ * @param {import("./transport.js").LogEntry} entry - The entry to format.
+ * @returns {string} The logfmt line.
+ */
+export function logfmt(entry) {
+    const pairs = [
+        ["ts", entry.timestamp],
+        ["level", entry.level],
+        ["msg", entry.message],
+        ...flatten(plainContext(entry) || {}),
+    ];
+    return pairs.map(([key, value]) => `${key}=${logfmtValue(value)}`).join(" ");
+}
+
+/**
+ * Built-in formatters by name.
+ * @constant {Object<string, function(import("./transport.js").LogEntry): (string|Array<*>)>}
+ */
+export const FORMATTERS = { pretty, json, logfmt };
+
+/**
+ * Resolves a `formatter` option to a function.
+ *
+ * @param {string|Function|null|undefined} formatter - A built-in formatter name, a custom function, or nothing.
+ * @returns {Function|null} The formatter function, or null to use the transport's default format.
+ * @throws {Error} If the name is not a built-in formatter or the value is not a function.
+ */
+export function resolveFormatter(formatter) {
+    if (formatter === undefined || formatter === null) {
+        return null;
+    }
+    if (typeof formatter === "function") {
+        return formatter;
+    }
+    if (typeof formatter === "string" && FORMATTERS[formatter]) {
+        return FORMATTERS[formatter];
+    }
+    throw new Error(
+        `Unknown formatter "${formatter}". Use one of: ${Object.keys(FORMATTERS).join(", ")}, or a function.`
+    );
+}
@@ -0,0 +1,309 @@
+import Transport from "./transport.js";
+import { serializeContext } from "./context.js";
+
+const encoder = new TextEncoder();
+
+/**
+ * @typedef {Object} HttpTransportOptions
+ * @property {string} url - The endpoint that receives batches as `POST { entries: [...] }` JSON.
+ * @property {string} [minLevel] - The least severe level this transport sends.
+ * @property {Object<string, string>} [headers] - Extra request headers (not sent with beacons, which cannot carry headers).
+ * @property {number} [batchSize=20] - Send once this many entries are queued, and at most this many per request.
+ * @property {number} [maxBatchBytes=60000] - The largest request body, in bytes; batches are cut short to stay under it.
+ *   Keep it below the endpoint's limit (64KB for the log ingest handler). A single larger entry is still sent on its own.
+ * @property {number} [flushInterval=5000] - Send queued entries after at most this many milliseconds.
+ * @property {number} [maxQueueSize=1000] - The most entries held while the endpoint is unreachable; the oldest are dropped beyond this.
+ * @property {number} [maxRetries=5] - Consecutive failed attempts before a batch is dropped.
+ * @property {number} [retryDelay=1000] - The base delay, in milliseconds, for exponential backoff between attempts.
+ * @property {number} [maxRetryDelay=30000] - The upper bound for the backoff delay.
+ */
+
+/**
+ * HTTP Transport Class.
+ *
+ * Ships entries to a server endpoint, primarily so browser logs reach the backend.
+ * Entries are queued and POSTed in batches capped by count and by size; failed batches
+ * are retried with exponential backoff and jitter, and the queue is capped so an
+ * unreachable endpoint cannot exhaust memory. When the page is hidden or unloaded, whatever is queued is handed to
+ * `navigator.sendBeacon`, which the browser delivers even after the page is gone.
+ *
+ * The transport uses the native `fetch` rather than FetchService, so shipping logs
+ * never produces further log entries.
+ */
+class HttpTransport extends Transport {
+    /**
+     * Creates an instance of the HttpTransport.
+     * @param {HttpTransportOptions} options - Configuration options for the transport.
+     * @throws {Error} If `url` is missing or `fetch` is unavailable.
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.url) {
+            throw new Error("HTTP logging requires a 'url' option.");
+        }
+        if (typeof fetch !== "function") {
+            throw new Error("HTTP logging requires the fetch API.");
+        }
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.batchSize = options.batchSize || 20;
+        this.maxBatchBytes = options.maxBatchBytes || 60000;
+        this.flushInterval = options.flushInterval !== undefined ? options.flushInterval : 5000;
+        this.maxQueueSize = options.maxQueueSize || 1000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+        this.maxRetryDelay = options.maxRetryDelay !== undefined ? options.maxRetryDelay : 30000;
+
+        this.queue = [];
+        this.timer = null;
+        this.attempts = 0;
+        this.sending = null;
+        this.dropped = 0;
+
+        // Hand queued entries to sendBeacon when the page is hidden, the last reliable moment on mobile.
+        this.handlePageHide = (event) => {
+            if (event.type === "pagehide" || document.visibilityState === "hidden") {
+                this.sendBeacon();
+            }
+        };
+        if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
+            document.addEventListener("visibilitychange", this.handlePageHide);
+            window.addEventListener("pagehide", this.handlePageHide);
+        }
+    }
+
+    /**
+     * Converts an entry to the JSON record sent to the endpoint.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to convert.
+     * @returns {Object} The `timestamp`, `level`, `message` and `context` record.
+     */
+    toRecord(entry) {
+        const serializedContext = serializeContext(entry.context);
+        return {
+            timestamp: entry.timestamp,
+            level: entry.level,
+            message: entry.message,
+            context: serializedContext ? JSON.parse(serializedContext) : null,
+        };
+    }
+
+    /**
+     * Queues an entry, sending a batch once enough have accumulated.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to write.
+     */
+    write(entry) {
+        this.queue.push(this.toRecord(entry));
+        if (this.queue.length > this.maxQueueSize) {
+            // Drop the oldest entries; recent ones are usually the most useful.
+            this.dropped += this.queue.length - this.maxQueueSize;
+            this.queue.splice(0, this.queue.length - this.maxQueueSize);
+        }
+        if (this.queue.length >= this.batchSize && this.attempts === 0) {
+            this.sendNext();
+        } else {
+            this.schedule(this.flushInterval);
+        }
+    }
+
+    /**
+     * Schedules the next send unless one is already pending.
+     *
+     * @param {number} delay - Milliseconds to wait.
+     */
+    schedule(delay) {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.sendNext();
+        }, delay);
+        if (typeof this.timer.unref === "function") {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Computes the backoff delay for the current attempt: exponential, capped, with full jitter.
+     *
+     * @returns {number} The delay in milliseconds.
+     */
+    backoffDelay() {
+        const exponential = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (this.attempts - 1));
+        return Math.round(exponential / 2 + (Math.random() * exponential) / 2);
+    }
+
+    /**
+     * Builds the request body for a batch, reporting entries dropped since the last send.
+     *
+     * @param {Object[]} batch - The records to send.
+     * @returns {string} The JSON body.
+     */
+    buildBody(batch) {
+        const body = { entries: batch };
+        if (this.dropped > 0) {
+            body.dropped = this.dropped;
+        }
+        return JSON.stringify(body);
+    }
+
+    /**
+     * Takes the oldest queued records that fit in one request: at most `batchSize`, and cut
+     * short until the body is within `maxBatchBytes` (a single oversized record is sent alone).
+     * The records stay queued; the caller removes them once they are handed off.
+     *
+     * @returns {{batch: Object[], body: string}} The records and their request body.
+     */
+    nextBatch() {
+        let count = Math.min(this.batchSize, this.queue.length);
+        for (;;) {
+            const batch = this.queue.slice(0, count);
+            const body = this.buildBody(batch);
+            const bytes = encoder.encode(body).length;
+            if (bytes <= this.maxBatchBytes || count === 1) {
+                return { batch, body };
+            }
+            // Shrink in proportion to the overshoot; subclasses format bodies differently, so re-measure.
+            count = Math.max(1, Math.min(count - 1, Math.floor((count * this.maxBatchBytes) / bytes)));
+        }
+    }
+
+    /**
+     * POSTs a batch to the endpoint. No `keepalive`: browsers cap keepalive bodies at 64KB in
+     * total, and entries still queued when the page goes away are handed to `sendBeacon` instead.
+     *
+     * @param {string} body - The request body built for the batch.
+     * @returns {Promise<{delivered: boolean, retryable: boolean, error?: Error}>} The outcome.
+     */
+    async deliver(body) {
+        try {
+            const response = await fetch(this.url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", ...this.headers },
+                body,
+            });
+            if (response.ok) {
+                return { delivered: true, retryable: false };
+            }
+            // Client errors other than timeouts and rate limits mean the batch itself was rejected.
+            const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            return {
+                delivered: false,
+                retryable,
+                error: new Error(`Log endpoint responded with status ${response.status}`),
+            };
+        } catch (error) {
+            return { delivered: false, retryable: true, error };
+        }
+    }
+
+    /**
+     * Sends the oldest queued batch. On a retryable failure the batch returns to the front
+     * of the queue and is retried with backoff, until `maxRetries` is exceeded and it is dropped.
+     *
+     * @returns {Promise<boolean>} True if the batch was delivered (or there was nothing to send).
+     */
+    sendNext() {
+        if (this.sending) {
+            return this.sending;
+        }
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.queue.length === 0) {
+            return Promise.resolve(true);
+        }
+
+        const { batch, body } = this.nextBatch();
+        this.queue.splice(0, batch.length);
+        const reportedDropped = this.dropped;
+        this.sending = this.deliver(body).then(({ delivered, retryable, error }) => {
+            this.sending = null;
+            if (delivered) {
+                this.attempts = 0;
+                this.dropped -= reportedDropped;
+                if (this.queue.length >= this.batchSize) {
+                    this.sendNext();
+                } else if (this.queue.length > 0) {
+                    this.schedule(this.flushInterval);
+                }
+                return true;
+            }
+
+            this.attempts += 1;
+            if (!retryable || this.attempts > this.maxRetries) {
+                console.warn(`Dropping ${batch.length} log entries that could not be delivered:`, error);
+                this.attempts = 0;
+                this.dropped += batch.length;
+            } else {
+                this.queue.unshift(...batch);
+            }
+            if (this.queue.length > 0) {
+                // The backoff replaces any regular flush that was scheduled while the request was in flight.
+                if (this.timer) {
+                    clearTimeout(this.timer);
+                    this.timer = null;
+                }
+                this.schedule(this.attempts > 0 ? this.backoffDelay() : this.flushInterval);
+            }
+            return false;
+        });
+        return this.sending;
+    }
+
+    /**
+     * Hands every queued entry to `navigator.sendBeacon`, batch by batch. Entries the browser
+     * refuses (e.g. over its beacon size limit) stay queued for the next regular send.
+     */
+    sendBeacon() {
+        if (typeof navigator === "undefined" || typeof navigator.sendBeacon !== "function") {
+            return;
+        }
+        while (this.queue.length > 0) {
+            const { batch, body } = this.nextBatch();
+            if (!navigator.sendBeacon(this.url, new Blob([body], { type: "application/json" }))) {
+                break;
+            }
+            this.queue.splice(0, batch.length);
+            this.dropped = 0;
+        }
+    }
+
+    /**
+     * Sends queued entries until the queue is empty or a send fails.
+     *
+     * @returns {Promise<void>} Resolves once sending stops.
+     */
+    async flush() {
+        if (this.sending) {
+            await this.sending;
+        }
+        while (this.queue.length > 0 && (await this.sendNext())) {
+            // Keep sending batches while the endpoint accepts them.
+        }
+    }
+
+    /**
+     * Stops timers and page listeners, and hands anything still queued to the browser
+     * via `sendBeacon` (or a final best-effort request outside the browser).
+     */
+    close() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (typeof window !== "undefined" && typeof window.removeEventListener === "function") {
+            document.removeEventListener("visibilitychange", this.handlePageHide);
+            window.removeEventListener("pagehide", this.handlePageHide);
+        }
+        this.sendBeacon();
+        if (this.queue.length > 0) {
+            this.flush();
+        }
+    }
+}
+
+export default HttpTransport;
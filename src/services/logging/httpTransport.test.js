@@ -0,0 +1,56 @@
+import { afterEach, describe, expect, test } from "bun:test";
+import HttpTransport from "./httpTransport.js";
+
+const originalFetch = globalThis.fetch;
+
+function errorEntry(index) {
+    return {
+        timestamp: "2024-01-01T00:00:00.000Z",
+        level: "error",
+        message: `Failure ${index}`,
+        context: { stack: "x".repeat(4096) },
+    };
+}
+
+describe("HttpTransport", () => {
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    test("splits batches that would exceed maxBatchBytes", async () => {
+        const requests = [];
+        globalThis.fetch = async (url, init) => {
+            requests.push(init);
+            return new Response(null, { status: 202 });
+        };
+        const transport = new HttpTransport({ url: "/api/logs", flushInterval: 60000 });
+        for (let i = 0; i < 20; i++) {
+            transport.write(errorEntry(i));
+        }
+        await transport.flush();
+        transport.close();
+
+        expect(requests.length).toBeGreaterThan(1);
+        for (const init of requests) {
+            expect(new TextEncoder().encode(init.body).length).toBeLessThanOrEqual(60000);
+            expect(init.keepalive).toBeUndefined();
+        }
+        const sent = requests.flatMap((init) => JSON.parse(init.body).entries.map((entry) => entry.message));
+        expect(sent).toEqual(Array.from({ length: 20 }, (_, i) => `Failure ${i}`));
+    });
+
+    test("sends an entry larger than maxBatchBytes on its own", async () => {
+        const bodies = [];
+        globalThis.fetch = async (url, init) => {
+            bodies.push(JSON.parse(init.body));
+            return new Response(null, { status: 202 });
+        };
+        const transport = new HttpTransport({ url: "/api/logs", flushInterval: 60000, maxBatchBytes: 1000 });
+        transport.write(errorEntry(0));
+        transport.write({ timestamp: "2024-01-01T00:00:00.000Z", level: "info", message: "small", context: null });
+        await transport.flush();
+        transport.close();
+
+        expect(bodies.map((body) => body.entries.length)).toEqual([1, 1]);
+    });
+});
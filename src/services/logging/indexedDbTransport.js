@@ -0,0 +1,344 @@
+import Transport from "./transport.js";
+import { serializeContext } from "./context.js";
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<*>} Resolves with the request result, or rejects with its error.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wraps an IndexedDB transaction in a promise.
+ *
+ * @param {IDBTransaction} transaction - The transaction to wait for.
+ * @returns {Promise<void>} Resolves when the transaction commits, or rejects if it fails or aborts.
+ */
+function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error("IndexedDB transaction aborted."));
+    });
+}
+
+const encoder = new TextEncoder();
+
+/**
+ * Measures a string's size in bytes once UTF-8 encoded.
+ *
+ * @param {string} text - The text to measure.
+ * @returns {number} The encoded length.
+ */
+function byteLength(text) {
+    return encoder.encode(text).length;
+}
+
+/**
+ * The bytes a `{"entries":[]}` request body adds around its records.
+ * @constant {number}
+ */
+const ENVELOPE_BYTES = byteLength(JSON.stringify({ entries: [] }));
+
+/**
+ * @typedef {Object} IndexedDbTransportOptions
+ * @property {string} url - The endpoint that receives batches as `POST { entries: [...] }` JSON, e.g. the log ingest handler.
+ * @property {string} [minLevel] - The least severe level this transport stores.
+ * @property {Object<string, string>} [headers] - Extra request headers.
+ * @property {string} [dbName='bunforge-logs'] - The IndexedDB database name.
+ * @property {number} [maxEntries=5000] - The most entries kept while offline; the oldest are evicted beyond this.
+ * @property {number} [batchSize=50] - The most entries sent per request while draining.
+ * @property {number} [maxBatchBytes=60000] - The largest request body, in bytes; batches are cut short to stay under it.
+ *   Keep it below the endpoint's limit (64KB for the log ingest handler). A single larger entry is still sent on its own.
+ * @property {number} [flushInterval=5000] - How long, in milliseconds, to gather new entries before draining them.
+ * @property {number} [retryInterval=30000] - How often, in milliseconds, to retry draining after a failed send while online.
+ */
+
+/**
+ * IndexedDB Transport Class.
+ *
+ * A browser storage mode for when `bun:sqlite` is unavailable: every entry is first
+ * persisted to IndexedDB, so nothing is lost while the browser is offline or the page
+ * is closed, and the store is then drained oldest-first to a remote endpoint whenever
+ * the browser is online (on startup, shortly after writes, and on the window `online` event).
+ * Entries are deleted only after the endpoint accepts them, or rejects them with a client
+ * error other than 408 or 429 (retrying a malformed or oversized batch would stall the store
+ * forever). The store is capped at `maxEntries`, evicting the oldest entries first.
+ */
+class IndexedDbTransport extends Transport {
+    /**
+     * Object store name used for queued entries.
+     * @type {string}
+     */
+    static STORE_NAME = "entries";
+
+    /**
+     * Creates an instance of the IndexedDbTransport.
+     * @param {IndexedDbTransportOptions} options - Configuration options for the transport.
+     * @throws {Error} If `url` is missing or IndexedDB is unavailable.
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.url) {
+            throw new Error("IndexedDB logging requires a 'url' option to drain entries to.");
+        }
+        if (typeof indexedDB === "undefined") {
+            throw new Error("IndexedDB logging is only available in the browser.");
+        }
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.maxEntries = options.maxEntries || 5000;
+        this.batchSize = options.batchSize || 50;
+        this.maxBatchBytes = options.maxBatchBytes || 60000;
+        this.flushInterval = options.flushInterval !== undefined ? options.flushInterval : 5000;
+        this.retryInterval = options.retryInterval || 30000;
+        this.timer = null;
+        this.draining = null;
+        this.drainAgain = false;
+
+        this.dbReady = this.openDatabase(options.dbName || "bunforge-logs");
+        // Writes are chained so entries are stored in the order they were logged.
+        this.pending = this.dbReady.catch((err) => {
+            console.error("Failed to open the IndexedDB log store:", err);
+        });
+
+        this.handleOnline = () => this.drain();
+        if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
+            window.addEventListener("online", this.handleOnline);
+        }
+        // Deliver anything left over from a previous session.
+        this.drain();
+    }
+
+    /**
+     * Opens (and on first use creates) the IndexedDB database.
+     *
+     * @param {string} dbName - The database name.
+     * @returns {Promise<IDBDatabase>} The open database.
+     */
+    openDatabase(dbName) {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(IndexedDbTransport.STORE_NAME, { autoIncrement: true });
+        };
+        return requestToPromise(request);
+    }
+
+    /**
+     * Checks whether the browser reports a network connection.
+     *
+     * @returns {boolean} False only when the browser is known to be offline.
+     */
+    isOnline() {
+        return typeof navigator === "undefined" || navigator.onLine !== false;
+    }
+
+    /**
+     * Persists an entry, evicts the oldest entries beyond the cap, and drains if online.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to write.
+     */
+    write(entry) {
+        const serializedContext = serializeContext(entry.context);
+        const record = {
+            timestamp: entry.timestamp,
+            level: entry.level,
+            message: entry.message,
+            context: serializedContext ? JSON.parse(serializedContext) : null,
+        };
+        this.pending = this.pending
+            .then(() => this.store(record))
+            .catch((err) => {
+                console.error("Failed to persist a log entry to IndexedDB:", err);
+            });
+        if (this.isOnline()) {
+            this.schedule(this.flushInterval);
+        }
+    }
+
+    /**
+     * Adds a record and evicts the oldest records beyond `maxEntries`, in one transaction.
+     *
+     * @param {Object} record - The record to store.
+     * @returns {Promise<void>} Resolves when the transaction commits.
+     */
+    async store(record) {
+        const db = await this.dbReady;
+        const transaction = db.transaction(IndexedDbTransport.STORE_NAME, "readwrite");
+        const store = transaction.objectStore(IndexedDbTransport.STORE_NAME);
+        store.add(record);
+        const count = await requestToPromise(store.count());
+        let excess = count - this.maxEntries;
+        if (excess > 0) {
+            // Keys are auto-incremented, so a forward key cursor visits the oldest entries first.
+            const cursorRequest = store.openKeyCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor && excess > 0) {
+                    store.delete(cursor.primaryKey);
+                    excess -= 1;
+                    cursor.continue();
+                }
+            };
+        }
+        await transactionToPromise(transaction);
+    }
+
+    /**
+     * Reads the oldest stored records, as many as fit in one request body.
+     *
+     * @returns {Promise<{keys: IDBValidKey[], records: Object[], body: string}>} Up to `batchSize` records,
+     *   their keys, and the request body, which stays under `maxBatchBytes` unless the first record alone exceeds it.
+     */
+    async readBatch() {
+        const db = await this.dbReady;
+        const store = db.transaction(IndexedDbTransport.STORE_NAME, "readonly").objectStore(IndexedDbTransport.STORE_NAME);
+        const [keys, records] = await Promise.all([
+            requestToPromise(store.getAllKeys(null, this.batchSize)),
+            requestToPromise(store.getAll(null, this.batchSize)),
+        ]);
+        let count = 0;
+        let bytes = ENVELOPE_BYTES;
+        while (count < records.length) {
+            // One byte for the comma before every record but the first.
+            const size = byteLength(JSON.stringify(records[count])) + (count > 0 ? 1 : 0);
+            if (count > 0 && bytes + size > this.maxBatchBytes) {
+                break;
+            }
+            bytes += size;
+            count += 1;
+        }
+        const batch = records.slice(0, count);
+        return { keys: keys.slice(0, count), records: batch, body: JSON.stringify({ entries: batch }) };
+    }
+
+    /**
+     * Deletes delivered records.
+     *
+     * @param {IDBValidKey[]} keys - The keys of the delivered records.
+     * @returns {Promise<void>} Resolves when the deletion commits.
+     */
+    async deleteKeys(keys) {
+        const db = await this.dbReady;
+        const transaction = db.transaction(IndexedDbTransport.STORE_NAME, "readwrite");
+        const store = transaction.objectStore(IndexedDbTransport.STORE_NAME);
+        for (const key of keys) {
+            store.delete(key);
+        }
+        await transactionToPromise(transaction);
+    }
+
+    /**
+     * Sends stored entries to the endpoint, oldest first, until the store is empty, the
+     * browser goes offline, or a send fails (in which case a retry is scheduled).
+     *
+     * @returns {Promise<void>} Resolves when draining stops.
+     */
+    drain() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.draining) {
+            // Entries stored after the running drain read its last batch need another pass.
+            this.drainAgain = true;
+            return this.draining;
+        }
+        this.draining = this.pending
+            .then(() => this.drainBatches())
+            .catch((err) => {
+                console.warn("Failed to drain IndexedDB log entries; will retry:", err);
+                this.drainAgain = false;
+                this.schedule(this.retryInterval);
+            })
+            .finally(() => {
+                this.draining = null;
+                if (this.drainAgain) {
+                    this.drainAgain = false;
+                    this.drain();
+                }
+            });
+        return this.draining;
+    }
+
+    /**
+     * Sends batches until the store is empty or the browser goes offline. Batches the endpoint
+     * rejects with a client error (other than 408 or 429) are dropped rather than retried.
+     *
+     * @returns {Promise<void>} Resolves when there is nothing left to send.
+     * @throws {Error} If a request fails or the endpoint responds with a retryable status.
+     */
+    async drainBatches() {
+        while (this.isOnline()) {
+            const { keys, records, body } = await this.readBatch();
+            if (records.length === 0) {
+                return;
+            }
+            // No keepalive: entries stay stored until delivered, and keepalive bodies are capped at 64KB in total.
+            const response = await fetch(this.url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", ...this.headers },
+                body,
+            });
+            if (!response.ok) {
+                const error = new Error(`Log endpoint responded with status ${response.status}`);
+                // Client errors other than timeouts and rate limits mean the batch itself was rejected.
+                const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+                if (retryable) {
+                    throw error;
+                }
+                console.warn(`Dropping ${records.length} log entries that could not be delivered:`, error);
+            }
+            await this.deleteKeys(keys);
+        }
+    }
+
+    /**
+     * Schedules a drain after the given delay, unless one is already scheduled.
+     *
+     * @param {number} delay - Milliseconds to wait.
+     */
+    schedule(delay) {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+        }, delay);
+    }
+
+    /**
+     * Drains the store, including entries still being written.
+     *
+     * @returns {Promise<void>} Resolves when draining stops.
+     */
+    async flush() {
+        await this.drain();
+    }
+
+    /**
+     * Stops listening for connectivity changes and closes the database once pending writes
+     * are stored. Stored entries are kept and drained by the next session.
+     */
+    close() {
+        if (typeof window !== "undefined" && typeof window.removeEventListener === "function") {
+            window.removeEventListener("online", this.handleOnline);
+        }
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        Promise.all([this.pending, this.draining]).then(() =>
+            this.dbReady.then((db) => db.close()).catch(() => {})
+        );
+    }
+}
+
+export default IndexedDbTransport;
@@ -0,0 +1,221 @@
+import { normalizeLevel } from "./levels.js";
+
+/**
+ * @typedef {Object} IngestRateLimit
+ * @property {number} [windowMs=60000] - The length of each rate-limit window in milliseconds.
+ * @property {number} [max=60] - The most requests one client may make per window.
+ */
+
+/**
+ * @typedef {Object} LogIngestOptions
+ * @property {import("@/services/logger.js").default} logger - The Logger that stores received entries, typically SQLite-backed.
+ * @property {number} [maxBodySize=65536] - The largest accepted request body, in bytes.
+ * @property {number} [maxEntries=100] - The most entries accepted in one request.
+ * @property {number} [maxMessageLength=8192] - Longer messages are truncated.
+ * @property {IngestRateLimit|false} [rateLimit] - Per-client request limits, or false to disable rate limiting.
+ * @property {function(Request, Object): string} [getClientId] - Identifies the client for rate limiting.
+ *   Defaults to the remote IP address reported by `server.requestIP()`. Without a `server` argument (e.g. when
+ *   the handler is called from a framework rather than `Bun.serve`), every client shares one "unknown" bucket,
+ *   so provide this whenever the handler is not passed Bun's server, and behind a proxy, where the remote address is the proxy's.
+ */
+
+/**
+ * Reads a request body as text, giving up as soon as it exceeds the limit, so an oversized
+ * body is never buffered in full (the `Content-Length` header is optional and can lie).
+ *
+ * @param {Request} request - The request to read.
+ * @param {number} maxBodySize - The largest accepted body, in bytes.
+ * @returns {Promise<string|null>} The body, or null if it is too large.
+ */
+async function readBody(request, maxBodySize) {
+    if (!request.body) {
+        return "";
+    }
+    const reader = request.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        size += value.byteLength;
+        if (size > maxBodySize) {
+            // Stop the upload instead of reading the rest.
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+    const decoder = new TextDecoder();
+    return chunks.map((chunk) => decoder.decode(chunk, { stream: true })).join("") + decoder.decode();
+}
+
+/**
+ * Builds a JSON response.
+ *
+ * @param {number} status - The HTTP status code.
+ * @param {Object} body - The response payload.
+ * @param {Object<string, string>} [headers] - Extra response headers.
+ * @returns {Response} The response.
+ */
+function jsonResponse(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { "Content-Type": "application/json", ...headers },
+    });
+}
+
+/**
+ * Validates a single received entry.
+ *
+ * @param {*} entry - The untrusted entry from the request body.
+ * @param {number} maxMessageLength - The longest message kept before truncation.
+ * @returns {{level: string, message: string, context: Object, timestamp: string|null}|null} The clean entry, or null if invalid.
+ */
+function validateEntry(entry, maxMessageLength) {
+    if (!entry || typeof entry !== "object" || typeof entry.message !== "string") {
+        return null;
+    }
+    const level = normalizeLevel(entry.level);
+    if (!level) {
+        return null;
+    }
+    const context =
+        entry.context && typeof entry.context === "object" && !Array.isArray(entry.context) ? entry.context : {};
+    const timestamp =
+        typeof entry.timestamp === "string" && !Number.isNaN(Date.parse(entry.timestamp)) ? entry.timestamp : null;
+    const message =
+        entry.message.length > maxMessageLength ? `${entry.message.slice(0, maxMessageLength)}…` : entry.message;
+    return { level, message, context, timestamp };
+}
+
+/**
+ * Creates a request handler that ingests batched client logs, as sent by the HTTP transport.
+ *
+ * The handler is compatible with `Bun.serve({ fetch })` and route handlers: it accepts
+ * `POST { entries: [{ timestamp, level, message, context }], dropped? }` bodies, enforces
+ * the body size, batch size and per-client rate limits, and writes each valid entry through
+ * the given Logger, so browser and server logs share one store. Entries are stamped with
+ * `source: 'client'`, the client ID and the client's original timestamp.
+ *
+ * Responses: 202 with `{ accepted, rejected }`, 400 for malformed bodies, 405 for non-POST
+ * requests, 413 for oversized bodies or batches, and 429 (with `Retry-After`) when rate limited.
+ *
+ * @param {LogIngestOptions} options - Configuration options for the handler.
+ * @returns {function(Request, Object=): Promise<Response>} The request handler.
+ * @throws {Error} If no logger is provided.
+ *
+ * @example
+ * const logStore = new Logger({ type: "sqlite", dbPath: "./logs.db" });
+ * Bun.serve({ routes: { "/api/logs": createLogIngestHandler({ logger: logStore }) } });
+ */
+export function createLogIngestHandler(options = {}) {
+    if (!options.logger) {
+        throw new Error("The log ingest handler requires a 'logger' option.");
+    }
+    const { logger } = options;
+    const maxBodySize = options.maxBodySize || 65536;
+    const maxEntries = options.maxEntries || 100;
+    const maxMessageLength = options.maxMessageLength || 8192;
+    const rateLimit = options.rateLimit === false ? null : { windowMs: 60000, max: 60, ...options.rateLimit };
+    const getClientId =
+        options.getClientId ||
+        ((request, server) => (server && server.requestIP && server.requestIP(request)?.address) || "unknown");
+
+    /**
+     * Fixed-window request counters per client.
+     * @type {Map<string, {count: number, resetAt: number}>}
+     */
+    const windows = new Map();
+
+    /**
+     * Counts a request against the client's window.
+     *
+     * @param {string} clientId - The client identifier.
+     * @returns {number} 0 if allowed, otherwise the seconds until the window resets.
+     */
+    const checkRateLimit = (clientId) => {
+        const now = Date.now();
+        if (windows.size > 10000) {
+            // Forget expired windows so one-off clients don't accumulate forever.
+            for (const [id, window] of windows) {
+                if (window.resetAt <= now) {
+                    windows.delete(id);
+                }
+            }
+        }
+        let window = windows.get(clientId);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + rateLimit.windowMs };
+            windows.set(clientId, window);
+        }
+        window.count += 1;
+        return window.count > rateLimit.max ? Math.ceil((window.resetAt - now) / 1000) : 0;
+    };
+
+    return async (request, server) => {
+        if (request.method !== "POST") {
+            return jsonResponse(405, { error: "Method not allowed." }, { Allow: "POST" });
+        }
+
+        const clientId = getClientId(request, server);
+        if (rateLimit) {
+            const retryAfter = checkRateLimit(clientId);
+            if (retryAfter > 0) {
+                return jsonResponse(429, { error: "Too many requests." }, { "Retry-After": String(retryAfter) });
+            }
+        }
+
+        // Reject by the declared length first, then by the bytes actually received, since the header can lie.
+        if (Number(request.headers.get("content-length")) > maxBodySize) {
+            return jsonResponse(413, { error: `Body exceeds ${maxBodySize} bytes.` });
+        }
+        const text = await readBody(request, maxBodySize);
+        if (text === null) {
+            return jsonResponse(413, { error: `Body exceeds ${maxBodySize} bytes.` });
+        }
+
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch {
+            return jsonResponse(400, { error: "Body must be valid JSON." });
+        }
+        if (!body || !Array.isArray(body.entries)) {
+            return jsonResponse(400, { error: "Body must be an object with an 'entries' array." });
+        }
+        if (body.entries.length > maxEntries) {
+            return jsonResponse(413, { error: `Batches are limited to ${maxEntries} entries.` });
+        }
+
+        let accepted = 0;
+        for (const raw of body.entries) {
+            const entry = validateEntry(raw, maxMessageLength);
+            if (!entry) {
+                continue;
+            }
+            // Server-assigned fields come last so clients cannot spoof them.
+            logger.log(entry.level, entry.message, {
+                ...entry.context,
+                source: "client",
+                clientId,
+                clientTimestamp: entry.timestamp,
+            });
+            accepted += 1;
+        }
+        if (Number.isInteger(body.dropped) && body.dropped > 0) {
+            logger.warn("Client dropped log entries before they could be delivered.", {
+                source: "client",
+                clientId,
+                dropped: body.dropped,
+            });
+        }
+
+        const rejected = body.entries.length - accepted;
+        if (accepted === 0 && rejected > 0) {
+            return jsonResponse(400, { error: "No valid entries.", accepted, rejected });
+        }
+        return jsonResponse(202, { accepted, rejected });
+    };
+}
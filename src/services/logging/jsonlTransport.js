@@ -0,0 +1,102 @@
+/* global process */  // Declare process as a global if available.
+
+import FileTransport from "./fileTransport.js";
+import { serializeContext } from "./context.js";
+import { readFileChunks } from "./fileReader.js";
+import { normalizeLevel } from "./levels.js";
+import { os } from "./serverRuntime.js";
+
+/**
+ * JSON Lines Transport Class.
+ *
+ * Appends one JSON object per line with `timestamp`, `level`, `message`, `context`, `pid`
+ * and `hostname` fields, so files can be tailed with `jq` and shipped to log aggregators
+ * without a CSV parser. Supports the rotation options of {@link FileTransport}.
+ * Only available on the server.
+ */
+class JsonlTransport extends FileTransport {
+    /**
+     * Creates an instance of the JsonlTransport.
+     * @param {import("./fileTransport.js").FileTransportOptions} options - Configuration options for the transport.
+     * @throws {Error} If `filePath` is missing, file I/O is unavailable, or a rotation option is invalid.
+     */
+    constructor(options = {}) {
+        super(options, "JSONL");
+        // These never change for the life of the process, so look them up once.
+        this.pid = process.pid;
+        this.hostname = os.hostname();
+        this.openFile();
+    }
+
+    /**
+     * Formats an entry as a single line of JSON terminated by a newline.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to format.
+     * @returns {string} The JSON line.
+     */
+    defaultFormat(entry) {
+        const serializedContext = serializeContext(entry.context);
+        const record = {
+            timestamp: entry.timestamp,
+            level: entry.level,
+            message: entry.message,
+            context: serializedContext ? JSON.parse(serializedContext) : null,
+            pid: this.pid,
+            hostname: this.hostname,
+        };
+        return `${JSON.stringify(record)}\n`;
+    }
+}
+
+/**
+ * Streams the entries of a JSON Lines log file written by {@link JsonlTransport}.
+ * The `pid` and `hostname` fields describe the writing process and are not part of the entry.
+ * With `follow`, new lines are yielded as they are appended, including after rotation.
+ *
+ * @param {string} filePath - The JSONL file to read.
+ * @param {import("./fileReader.js").ReadOptions} [options={}] - Follow mode settings.
+ * @returns {AsyncGenerator<import("./sqliteTransport.js").StoredLogEntry>} The entries in file order,
+ *   without an `id`; `context` is null when the entry had none.
+ * @throws {Error} If the file cannot be read or a line is not a valid log record.
+ */
+export async function* readJsonlEntries(filePath, options = {}) {
+    let pending = "";
+    let line = 0;
+
+    const toEntry = (text) => {
+        let record;
+        try {
+            record = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`${filePath}: line ${line} is not valid JSON: ${err.message}`);
+        }
+        const level = normalizeLevel(record.level);
+        if (!level || typeof record.timestamp !== "string" || typeof record.message !== "string") {
+            throw new Error(`${filePath}: line ${line} is not a log record.`);
+        }
+        return { timestamp: record.timestamp, level, message: record.message, context: record.context || null };
+    };
+
+    for await (const chunk of readFileChunks(filePath, options)) {
+        if (chunk === null) {
+            pending = "";
+            line = 0;
+            continue;
+        }
+        const lines = (pending + chunk).split("\n");
+        // The last piece is an incomplete line until its newline arrives.
+        pending = lines.pop();
+        for (const text of lines) {
+            line++;
+            if (text.trim()) {
+                yield toEntry(text);
+            }
+        }
+    }
+    if (pending.trim()) {
+        line++;
+        yield toEntry(pending);
+    }
+}
+
+export default JsonlTransport;
@@ -0,0 +1,71 @@
+/**
+ * Log Level Definitions
+ *
+ * Defines the ordered set of severity levels shared by the Logger and its transports,
+ * along with helpers for normalizing and comparing level names.
+ */
+
+/**
+ * Supported severity levels, ordered from least to most severe.
+ * @constant {string[]}
+ */
+export const LOG_LEVELS = ["trace", "debug", "info", "warn", "error", "fatal"];
+
+/**
+ * Common spellings of levels that are normalized to their canonical name.
+ * @constant {Object<string, string>}
+ */
+const LEVEL_ALIASES = {
+    verbose: "trace",
+    information: "info",
+    warning: "warn",
+    err: "error",
+    critical: "fatal",
+};
+
+/**
+ * Normalizes a level name to one of {@link LOG_LEVELS}.
+ *
+ * Matching is case-insensitive and accepts common aliases such as 'warning' and 'critical'.
+ *
+ * @param {string} level - The level name to normalize.
+ * @returns {string|null} The canonical level name, or null if the level is unknown.
+ */
+export function normalizeLevel(level) {
+    if (typeof level !== "string") {
+        return null;
+    }
+    const name = level.trim().toLowerCase();
+    if (LOG_LEVELS.includes(name)) {
+        return name;
+    }
+    return LEVEL_ALIASES[name] || null;
+}
+
+/**
+ * Normalizes a configured level, throwing if it is unknown so typos fail loudly at startup.
+ *
+ * @param {string} level - The level name to validate.
+ * @returns {string} The canonical level name.
+ * @throws {Error} If the level is not a known level.
+ */
+export function assertLevel(level) {
+    const normalized = normalizeLevel(level);
+    if (!normalized) {
+        throw new Error(
+            `Unknown log level "${level}". Expected one of: ${LOG_LEVELS.join(", ")}.`
+        );
+    }
+    return normalized;
+}
+
+/**
+ * Checks whether a level is at or above a minimum level.
+ *
+ * @param {string} level - A canonical level name.
+ * @param {string} minLevel - The canonical minimum level.
+ * @returns {boolean} True if `level` is at least as severe as `minLevel`.
+ */
+export function isLevelAtLeast(level, minLevel) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minLevel);
+}
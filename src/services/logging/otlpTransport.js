@@ -0,0 +1,135 @@
+import HttpTransport from "./httpTransport.js";
+import { serializeContext } from "./context.js";
+
+/**
+ * OTLP severity numbers for each level: the first value of the matching OpenTelemetry severity range.
+ * @constant {Object<string, number>}
+ */
+const SEVERITY_NUMBERS = { trace: 1, debug: 5, info: 9, warn: 13, error: 17, fatal: 21 };
+
+/**
+ * Context keys read as trace and span IDs instead of attributes, with the hex length each must have.
+ * @constant {Object<string, {field: string, length: number}>}
+ */
+const TRACE_KEYS = {
+    traceId: { field: "traceId", length: 32 },
+    trace_id: { field: "traceId", length: 32 },
+    spanId: { field: "spanId", length: 16 },
+    span_id: { field: "spanId", length: 16 },
+};
+
+/**
+ * Converts a JSON value to an OTLP `AnyValue`.
+ *
+ * @param {*} value - A value from the serialized context.
+ * @returns {Object} The `AnyValue`.
+ */
+function toAnyValue(value) {
+    if (typeof value === "string") {
+        return { stringValue: value };
+    }
+    if (typeof value === "boolean") {
+        return { boolValue: value };
+    }
+    if (typeof value === "number") {
+        // OTLP/JSON encodes 64-bit integers as decimal strings.
+        return Number.isSafeInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    if (Array.isArray(value)) {
+        return { arrayValue: { values: value.map(toAnyValue) } };
+    }
+    if (value && typeof value === "object") {
+        return { kvlistValue: { values: toKeyValues(value) } };
+    }
+    return {};
+}
+
+/**
+ * Converts an object to a list of OTLP `KeyValue` pairs, skipping null values.
+ *
+ * @param {Object} object - The object to convert.
+ * @returns {Array<{key: string, value: Object}>} The attributes.
+ */
+function toKeyValues(object) {
+    return Object.entries(object)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * @typedef {import("./httpTransport.js").HttpTransportOptions & {
+ *   serviceName?: string,
+ *   resourceAttributes?: Object<string, *>,
+ *   scopeName?: string
+ * }} OtlpTransportOptions
+ * `url` defaults to a local collector's OTLP/HTTP logs endpoint, `http://localhost:4318/v1/logs`.
+ * `serviceName` (default 'bunforge') and `resourceAttributes` describe the app on every batch;
+ * `scopeName` (default 'bunforge-logger') names the instrumentation scope.
+ */
+
+/**
+ * OTLP Transport Class.
+ *
+ * Exports entries as OpenTelemetry log records over OTLP/HTTP with JSON encoding, so any
+ * OpenTelemetry Collector (or a backend speaking OTLP) can receive them without an SDK.
+ * Each entry becomes a `LogRecord` with its level mapped to a severity number, the message
+ * as the body and the context as attributes. `traceId`/`trace_id` and `spanId`/`span_id`
+ * context fields holding hex IDs are sent as the record's trace and span IDs.
+ * Batching, retries and beacons work as in {@link HttpTransport}; the count of dropped
+ * entries has no OTLP field and is not reported.
+ */
+class OtlpTransport extends HttpTransport {
+    /**
+     * Creates an instance of the OtlpTransport.
+     * @param {OtlpTransportOptions} options - Configuration options for the transport.
+     * @throws {Error} If `fetch` is unavailable.
+     */
+    constructor(options = {}) {
+        super({ ...options, url: options.url || "http://localhost:4318/v1/logs" });
+        this.resource = {
+            attributes: toKeyValues({ "service.name": options.serviceName || "bunforge", ...options.resourceAttributes }),
+        };
+        this.scope = { name: options.scopeName || "bunforge-logger" };
+    }
+
+    /**
+     * Converts an entry to an OTLP `LogRecord`.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to convert.
+     * @returns {Object} The log record.
+     */
+    toRecord(entry) {
+        const serializedContext = serializeContext(entry.context);
+        const attributes = serializedContext ? JSON.parse(serializedContext) : {};
+        const record = {
+            timeUnixNano: `${Date.parse(entry.timestamp)}000000`,
+            severityNumber: SEVERITY_NUMBERS[entry.level],
+            severityText: entry.level.toUpperCase(),
+            body: { stringValue: entry.message },
+        };
+        for (const [key, { field, length }] of Object.entries(TRACE_KEYS)) {
+            const id = attributes[key];
+            // Malformed IDs would make the collector reject the whole batch, so they stay attributes.
+            if (typeof id === "string" && id.length === length && /^[0-9a-f]+$/i.test(id)) {
+                record[field] = id.toLowerCase();
+                delete attributes[key];
+            }
+        }
+        record.attributes = toKeyValues(attributes);
+        return record;
+    }
+
+    /**
+     * Wraps a batch of log records in an OTLP `ExportLogsServiceRequest`.
+     *
+     * @param {Object[]} batch - The log records to send.
+     * @returns {string} The JSON body.
+     */
+    buildBody(batch) {
+        return JSON.stringify({
+            resourceLogs: [{ resource: this.resource, scopeLogs: [{ scope: this.scope, logRecords: batch }] }],
+        });
+    }
+}
+
+export default OtlpTransport;
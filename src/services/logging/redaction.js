@@ -0,0 +1,151 @@
+/**
+ * Log Redaction
+ *
+ * Masks sensitive values in log messages and structured context before any transport
+ * sees them. Values are matched by key path (e.g. `headers.authorization`) and by
+ * regular expression (e.g. emails or card numbers inside free text).
+ */
+
+/**
+ * Built-in patterns that can be referenced by name in the `patterns` option.
+ * @constant {Object<string, RegExp>}
+ */
+export const REDACTION_PATTERNS = {
+    bearerToken: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi,
+    jwt: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+    email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    creditCard: /\b(?:\d[ -]?){12,18}\d\b/g,
+};
+
+/**
+ * Checks a candidate card number with the Luhn checksum, which every payment card number passes.
+ *
+ * @param {string} text - The matched digits, possibly separated by spaces or dashes.
+ * @returns {boolean} True if the checksum is valid.
+ */
+function passesLuhn(text) {
+    const digits = text.replace(/\D/g, "");
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Extra checks a built-in pattern's matches must pass before they are masked, so that
+ * look-alikes (timestamps and IDs that happen to be 13-19 digits long) stay readable.
+ * @constant {Object<string, function(string): boolean>}
+ */
+const PATTERN_VALIDATORS = {
+    creditCard: passesLuhn,
+};
+
+/**
+ * @typedef {Object} RedactionOptions
+ * @property {string[]} [paths] - Key paths whose values are replaced, matched case-insensitively wherever they occur:
+ *   `password` masks every `password` key, and `headers.authorization` masks `authorization` keys inside `headers` objects.
+ * @property {Array<RegExp|string>} [patterns] - Expressions whose matches are masked inside every string, in messages and context.
+ *   Strings name built-in patterns: 'bearerToken', 'jwt', 'email' and 'creditCard' (13-19 digits that pass the Luhn check).
+ * @property {string} [censor='[REDACTED]'] - The replacement text.
+ */
+
+/**
+ * Creates a function that returns a redacted copy of an entry's message and context.
+ * The caller's context objects are never modified.
+ *
+ * @param {RedactionOptions} options - What to redact.
+ * @returns {function(string, Object=): {message: string, context: (Object|undefined)}} The redactor.
+ * @throws {Error} If a pattern name is unknown or a pattern is not a RegExp.
+ */
+export function createRedactor(options = {}) {
+    const censor = options.censor !== undefined ? options.censor : "[REDACTED]";
+    const paths = (options.paths || []).map((path) => path.toLowerCase().split("."));
+    const patterns = (options.patterns || []).map((pattern) => {
+        const regex = typeof pattern === "string" ? REDACTION_PATTERNS[pattern] : pattern;
+        if (!(regex instanceof RegExp)) {
+            throw new Error(
+                `Unknown redaction pattern "${pattern}". Use a RegExp or one of: ${Object.keys(REDACTION_PATTERNS).join(", ")}.`
+            );
+        }
+        return {
+            // Every occurrence must be masked, so force the global flag.
+            regex: regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`),
+            validate: typeof pattern === "string" ? PATTERN_VALIDATORS[pattern] : undefined,
+        };
+    });
+
+    /**
+     * Checks whether the key path ends with one of the configured paths.
+     *
+     * @param {string[]} keyPath - Lower-cased keys from the context root to the current value.
+     * @returns {boolean} True if the value must be masked.
+     */
+    const matchesPath = (keyPath) =>
+        paths.some(
+            (path) =>
+                path.length <= keyPath.length &&
+                path.every((segment, index) => segment === keyPath[keyPath.length - path.length + index])
+        );
+
+    const redactString = (text) =>
+        patterns.reduce(
+            (result, { regex, validate }) =>
+                result.replace(regex, (match) => (validate && !validate(match) ? match : censor)),
+            text
+        );
+
+    const redactValue = (value, keyPath, seen) => {
+        if (keyPath.length > 0 && matchesPath(keyPath)) {
+            return censor;
+        }
+        if (typeof value === "string") {
+            return redactString(value);
+        }
+        if (value instanceof Error) {
+            value = { name: value.name, message: value.message, stack: value.stack };
+        }
+        if (value === null || typeof value !== "object") {
+            return value;
+        }
+        if (seen.has(value)) {
+            return "[Circular]";
+        }
+        seen.add(value);
+        // Class instances are walked like plain objects, since transports serialize their fields too.
+        // Only types whose JSON form is not their own fields are converted first.
+        let fields = value;
+        if (typeof value.toJSON === "function") {
+            // Dates, URLs and custom types: redact what the serializer would write.
+            fields = value.toJSON(keyPath[keyPath.length - 1] || "");
+        } else if (value instanceof Map || (typeof Headers !== "undefined" && value instanceof Headers)) {
+            fields = Object.fromEntries(Array.from(value.entries(), ([key, item]) => [String(key), item]));
+        } else if (value instanceof Set) {
+            fields = Array.from(value);
+        }
+        let copy;
+        if (fields !== value) {
+            copy = redactValue(fields, keyPath, seen);
+        } else if (Array.isArray(value)) {
+            copy = value.map((item) => redactValue(item, keyPath, seen));
+        } else {
+            copy = Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, redactValue(item, [...keyPath, key.toLowerCase()], seen)])
+            );
+        }
+        seen.delete(value);
+        return copy;
+    };
+
+    return (message, context) => ({
+        message: typeof message === "string" ? redactString(message) : message,
+        context: context === undefined || context === null ? context : redactValue(context, [], new WeakSet()),
+    });
+}
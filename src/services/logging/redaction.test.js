@@ -0,0 +1,60 @@
+import { describe, expect, test } from "bun:test";
+import { createRedactor } from "./redaction.js";
+import { serializeContext } from "./context.js";
+
+class Credentials {
+    constructor() {
+        this.username = "jane";
+        this.password = "hunter2";
+        this.note = "Reach me at jane@example.com";
+    }
+}
+
+describe("createRedactor", () => {
+    const redact = createRedactor({ paths: ["password", "headers.authorization"], patterns: ["email"] });
+
+    test("masks paths and patterns inside class instances", () => {
+        const { context } = redact("login", { creds: new Credentials() });
+
+        expect(serializeContext(context)).toBe(
+            JSON.stringify({ creds: { username: "jane", password: "[REDACTED]", note: "Reach me at [REDACTED]" } })
+        );
+    });
+
+    test("masks paths and patterns inside nested arrays", () => {
+        const { context } = redact("batch", {
+            users: [[{ password: "a" }, new Credentials()], ["jane@example.com"]],
+        });
+
+        expect(context).toEqual({
+            users: [
+                [{ password: "[REDACTED]" }, { username: "jane", password: "[REDACTED]", note: "Reach me at [REDACTED]" }],
+                ["[REDACTED]"],
+            ],
+        });
+    });
+
+    test("redacts the JSON form of types that are not serialized as their fields", () => {
+        const created = new Date("2024-01-01T00:00:00.000Z");
+        const { context } = redact("request", {
+            created,
+            headers: new Headers({ Authorization: "Bearer abc", Accept: "application/json" }),
+            sessions: new Map([["jane", { password: "hunter2" }]]),
+        });
+
+        expect(context).toEqual({
+            created: "2024-01-01T00:00:00.000Z",
+            headers: { authorization: "[REDACTED]", accept: "application/json" },
+            sessions: { jane: { password: "[REDACTED]" } },
+        });
+    });
+
+    test("replaces circular references and leaves the original untouched", () => {
+        const creds = new Credentials();
+        creds.self = creds;
+        const { context } = redact("login", { creds });
+
+        expect(context.creds.self).toBe("[Circular]");
+        expect(creds.password).toBe("hunter2");
+    });
+});
@@ -0,0 +1,88 @@
+import ConsoleTransport from "./consoleTransport.js";
+import CsvTransport from "./csvTransport.js";
+import HttpTransport from "./httpTransport.js";
+import IndexedDbTransport from "./indexedDbTransport.js";
+import JsonlTransport from "./jsonlTransport.js";
+import OtlpTransport from "./otlpTransport.js";
+import SqliteTransport from "./sqliteTransport.js";
+
+/**
+ * Transport Registry
+ *
+ * Maps transport type names (as used in `{ type: 'csv' }` configs) to factory functions,
+ * so the Logger can build transports from plain configuration and third-party code can
+ * add its own types.
+ */
+
+/**
+ * Registered transport factories, keyed by type name.
+ * @type {Map<string, function(Object): import("./transport.js").default>}
+ */
+const factories = new Map();
+
+/**
+ * Registers a transport type so it can be used by name in Logger configuration.
+ *
+ * @param {string} type - The type name (e.g., 'http').
+ * @param {function(Object): import("./transport.js").default} factory - Builds a transport from its config object.
+ * @throws {Error} If the type name is empty or the factory is not a function.
+ *
+ * @example
+ * registerTransport("memory", (options) => new MemoryTransport(options));
+ * const logger = new Logger({ transports: [{ type: "memory", minLevel: "warn" }] });
+ */
+export function registerTransport(type, factory) {
+    if (!type || typeof type !== "string") {
+        throw new Error("Transport type must be a non-empty string.");
+    }
+    if (typeof factory !== "function") {
+        throw new Error(`Transport factory for "${type}" must be a function.`);
+    }
+    factories.set(type, factory);
+}
+
+/**
+ * Builds a transport from a config object, or returns it unchanged if it already is one.
+ *
+ * @param {Object} config - A transport instance, or a config object with a registered `type`.
+ * @returns {import("./transport.js").default} The transport.
+ * @throws {Error} If the config names an unknown transport type.
+ */
+export function createTransport(config) {
+    if (config && typeof config.write === "function") {
+        return config;
+    }
+    const type = (config && config.type) || "console";
+    const factory = factories.get(type);
+    if (!factory) {
+        throw new Error(
+            `Unknown transport type "${type}". Registered types: ${[...factories.keys()].join(", ")}.`
+        );
+    }
+    return factory(config);
+}
+
+registerTransport("console", (options) => new ConsoleTransport(options));
+registerTransport("csv", (options) => new CsvTransport(options));
+registerTransport("jsonl", (options) => new JsonlTransport(options));
+registerTransport("http", (options) => new HttpTransport(options));
+registerTransport("indexeddb", (options) => new IndexedDbTransport(options));
+registerTransport("otlp", (options) => new OtlpTransport(options));
+registerTransport("sqlite", (options) => {
+    // For SQLite logging, ensure we're not in the browser.
+    if (typeof window !== "undefined") {
+        console.warn(
+            "SQLite logging is not supported in the browser. Falling back to console logging."
+        );
+        return new ConsoleTransport(options);
+    }
+    if (!options.dbPath) {
+        throw new Error("SQLite logging requires a 'dbPath' option.");
+    }
+    try {
+        return new SqliteTransport(options);
+    } catch (err) {
+        console.error("Failed to initialize SQLite database:", err);
+        return new ConsoleTransport(options);
+    }
+});
@@ -0,0 +1,42 @@
+/**
+ * Server Runtime Modules
+ *
+ * Loads the Node-compatible built-ins that file-based transports rely on. Bun implements
+ * them natively; in the browser they are left null so importing a transport never fails.
+ */
+
+/**
+ * True when running outside the browser (Bun or Node).
+ * @constant {boolean}
+ */
+export const isServer = typeof window === "undefined";
+
+/**
+ * The node:fs module, or null in the browser. Bun.write cannot append to an existing
+ * file, so appends go through Bun's native node:fs implementation.
+ * @type {typeof import("node:fs")|null}
+ */
+export let fs = null;
+
+/**
+ * The node:path module, or null in the browser.
+ * @type {typeof import("node:path")|null}
+ */
+export let path = null;
+
+/**
+ * The node:os module, or null in the browser.
+ * @type {typeof import("node:os")|null}
+ */
+export let os = null;
+
+// Conditionally load server built-ins only if not in a browser environment.
+if (isServer) {
+    try {
+        fs = await import("node:fs");
+        path = await import("node:path");
+        os = await import("node:os");
+    } catch (err) {
+        console.error("Failed to load server file I/O modules:", err);
+    }
+}
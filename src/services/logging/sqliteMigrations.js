@@ -0,0 +1,111 @@
+/**
+ * SQLite Log Schema Migrations
+ *
+ * Upgrades log databases in place. The schema version is stored in SQLite's built-in
+ * `user_version` pragma; on open, every migration above the stored version runs in
+ * order, each in its own transaction together with the version bump. Databases that
+ * predate versioning report version 0 and are upgraded from the original four-column
+ * `logs` table (id, timestamp, level, message).
+ *
+ * To change the schema, append a migration; never edit one that has shipped.
+ */
+
+/**
+ * Checks whether a table has a column.
+ *
+ * @param {import("bun:sqlite").Database} db - The database connection.
+ * @param {string} table - The table name.
+ * @param {string} column - The column name.
+ * @returns {boolean} True if the column exists.
+ */
+function hasColumn(db, table, column) {
+    return db
+        .query(`PRAGMA table_info(${table})`)
+        .all()
+        .some((info) => info.name === column);
+}
+
+/**
+ * Ordered schema migrations. Migration N upgrades a database from version N-1 to N.
+ * @constant {Array<{version: number, description: string, up: function(import("bun:sqlite").Database): void}>}
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: "Create the logs table",
+        up(db) {
+            db.run(
+                `CREATE TABLE IF NOT EXISTS logs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp TEXT,
+                    level TEXT,
+                    message TEXT
+                )`
+            );
+        },
+    },
+    {
+        version: 2,
+        description: "Add the structured context column",
+        up(db) {
+            // Unversioned databases may already have gained the column before migrations existed.
+            if (!hasColumn(db, "logs", "context")) {
+                db.run("ALTER TABLE logs ADD COLUMN context TEXT");
+            }
+        },
+    },
+    {
+        version: 3,
+        description: "Index timestamp and level for queries",
+        up(db) {
+            db.run("CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON logs (timestamp)");
+            db.run("CREATE INDEX IF NOT EXISTS idx_logs_level ON logs (level)");
+        },
+    },
+];
+
+/**
+ * The schema version this code writes.
+ * @constant {number}
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Reads the schema version recorded in a database.
+ *
+ * @param {import("bun:sqlite").Database} db - The database connection.
+ * @returns {number} The recorded version, or 0 for an unversioned database.
+ */
+export function getSchemaVersion(db) {
+    return db.query("PRAGMA user_version").get().user_version;
+}
+
+/**
+ * Brings a log database up to {@link SCHEMA_VERSION}, running each pending migration in a transaction.
+ *
+ * @param {import("bun:sqlite").Database} db - The database connection.
+ * @returns {number[]} The versions that were applied, oldest first.
+ * @throws {Error} If the database was written by a newer schema version, or a migration fails.
+ */
+export function migrate(db) {
+    const current = getSchemaVersion(db);
+    if (current > SCHEMA_VERSION) {
+        throw new Error(
+            `Log database schema version ${current} is newer than the supported version ${SCHEMA_VERSION}.`
+        );
+    }
+
+    const applied = [];
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= current) {
+            continue;
+        }
+        db.transaction(() => {
+            migration.up(db);
+            // PRAGMA values cannot be bound as parameters; the version is always an integer literal.
+            db.run(`PRAGMA user_version = ${migration.version}`);
+        })();
+        applied.push(migration.version);
+    }
+    return applied;
+}
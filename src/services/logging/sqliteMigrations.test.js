@@ -0,0 +1,117 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { Database } from "bun:sqlite";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { SCHEMA_VERSION, getSchemaVersion, migrate } from "./sqliteMigrations.js";
+import SqliteTransport from "./sqliteTransport.js";
+
+/**
+ * Creates a database with the original, unversioned four-column `logs` table and one row.
+ *
+ * @param {string} dbPath - Where to create the database.
+ */
+function createLegacyDatabase(dbPath) {
+    const db = new Database(dbPath);
+    db.run(
+        `CREATE TABLE logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            timestamp TEXT,
+            level TEXT,
+            message TEXT
+        )`
+    );
+    db.run("INSERT INTO logs (timestamp, level, message) VALUES (?, ?, ?)", [
+        "2024-01-01T00:00:00.000Z",
+        "info",
+        "legacy entry",
+    ]);
+    db.close();
+}
+
+function columnNames(db) {
+    return db.query("PRAGMA table_info(logs)").all().map((info) => info.name);
+}
+
+function indexNames(db) {
+    return db.query("PRAGMA index_list(logs)").all().map((info) => info.name);
+}
+
+describe("sqliteMigrations", () => {
+    let dir;
+    let dbPath;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), "bunforge-migrations-"));
+        dbPath = join(dir, "logs.db");
+        createLegacyDatabase(dbPath);
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("upgrades a legacy database to the current schema", () => {
+        const db = new Database(dbPath);
+        expect(getSchemaVersion(db)).toBe(0);
+
+        const applied = migrate(db);
+
+        expect(applied).toEqual([1, 2, 3]);
+        expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+        expect(columnNames(db)).toContain("context");
+        expect(indexNames(db)).toEqual(
+            expect.arrayContaining(["idx_logs_timestamp", "idx_logs_level"])
+        );
+        expect(db.query("SELECT timestamp, level, message, context FROM logs").all()).toEqual([
+            {
+                timestamp: "2024-01-01T00:00:00.000Z",
+                level: "info",
+                message: "legacy entry",
+                context: null,
+            },
+        ]);
+        db.close();
+    });
+
+    test("is a no-op on an up-to-date database", () => {
+        const db = new Database(dbPath);
+        migrate(db);
+
+        expect(migrate(db)).toEqual([]);
+        expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+        expect(db.query("SELECT COUNT(*) AS count FROM logs").get().count).toBe(1);
+        db.close();
+    });
+
+    test("upgrades a legacy database opened through SqliteTransport", async () => {
+        const transport = new SqliteTransport({ dbPath });
+        transport.write({
+            timestamp: "2024-01-02T00:00:00.000Z",
+            level: "warn",
+            message: "new entry",
+            context: { requestId: "abc" },
+        });
+        await transport.close();
+
+        const db = new Database(dbPath);
+        expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+        const rows = db.query("SELECT message, context FROM logs ORDER BY id").all();
+        expect(rows).toEqual([
+            { message: "legacy entry", context: null },
+            { message: "new entry", context: JSON.stringify({ requestId: "abc" }) },
+        ]);
+        db.close();
+    });
+
+    test("refuses a database written by a newer schema version", () => {
+        const db = new Database(dbPath);
+        db.run(`PRAGMA user_version = ${SCHEMA_VERSION + 1}`);
+
+        expect(() => migrate(db)).toThrow(/newer than the supported version/);
+        expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION + 1);
+        db.close();
+
+        expect(() => new SqliteTransport({ dbPath })).toThrow(/newer than the supported version/);
+    });
+});
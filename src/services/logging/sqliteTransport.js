@@ -0,0 +1,290 @@
+import BufferedTransport from "./bufferedTransport.js";
+import { serializeContext } from "./context.js";
+import { LOG_LEVELS, assertLevel } from "./levels.js";
+import { migrate } from "./sqliteMigrations.js";
+
+let Database = null;
+// Conditionally load bun:sqlite only if not in a browser environment.
+if (typeof window === "undefined") {
+    try {
+        // Dynamically import bun:sqlite. This code only runs in a server context.
+        Database = (await import("bun:sqlite")).Database;
+    } catch (err) {
+        console.error("Failed to load bun:sqlite:", err);
+    }
+}
+
+/**
+ * SQL expressions for the sort keys accepted by `query({ orderBy })`. Levels sort by severity, not name.
+ * @constant {Object<string, string>}
+ */
+const ORDER_COLUMNS = {
+    id: "id",
+    timestamp: "timestamp",
+    level: `CASE level ${LOG_LEVELS.map((level, index) => `WHEN '${level}' THEN ${index}`).join(" ")} END`,
+};
+
+/**
+ * Converts a Date, timestamp or date string to the ISO 8601 form stored in the `timestamp` column.
+ *
+ * @param {Date|string|number} value - The time to convert.
+ * @param {string} name - The option name, used in error messages.
+ * @returns {string} The ISO 8601 timestamp.
+ * @throws {Error} If the value is not a valid date.
+ */
+function toIsoTimestamp(value, name) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid '${name}' date: ${value}`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * @typedef {Object} LogQuery
+ * @property {string|string[]} [level] - Only entries at this level (or one of these levels).
+ * @property {string} [minLevel] - Only entries at or above this level.
+ * @property {Date|string|number} [since] - Only entries logged at or after this time.
+ * @property {Date|string|number} [until] - Only entries logged at or before this time.
+ * @property {string} [search] - Only entries whose message contains this text (case-insensitive).
+ * @property {number} [afterId] - Only entries with a larger row ID, i.e. written after that entry; used to follow new entries.
+ * @property {number|null} [limit=100] - The maximum number of entries to return, or null for no limit.
+ * @property {number} [offset=0] - The number of matching entries to skip, for paging.
+ * @property {string} [orderBy='timestamp desc'] - Sort key 'timestamp', 'level' or 'id', optionally followed by 'asc' or 'desc'.
+ */
+
+/**
+ * @typedef {Object} StoredLogEntry
+ * @property {number} id - The row ID.
+ * @property {string} timestamp - ISO 8601 time the entry was created.
+ * @property {string} level - The severity level.
+ * @property {string} message - The log message.
+ * @property {Object|null} context - The parsed structured context, or null if there was none.
+ */
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {number} [maxAgeDays] - Delete entries older than this many days.
+ * @property {number} [maxRows] - Keep at most this many of the newest entries.
+ * @property {number} [interval=3600000] - How often, in milliseconds, to prune while the transport is open.
+ * @property {boolean} [vacuum=false] - Run `VACUUM` after each automatic prune that deleted rows, to return space to the OS.
+ */
+
+/**
+ * @typedef {Object} PruneOptions
+ * @property {number} [maxAgeDays] - Overrides the retention policy's `maxAgeDays` for this call.
+ * @property {number} [maxRows] - Overrides the retention policy's `maxRows` for this call.
+ * @property {boolean} [vacuum=false] - Run `VACUUM` afterwards to shrink the database file.
+ */
+
+/**
+ * @typedef {Object} SqliteTransportOptions
+ * @property {string} dbPath - The database file path.
+ * @property {string} [minLevel] - The least severe level this transport writes.
+ * @property {number} [bufferSize=100] - Flush once this many entries are buffered. Use 1 to write every entry immediately.
+ * @property {number} [flushInterval=1000] - Flush buffered entries after at most this many milliseconds.
+ * @property {RetentionPolicy} [retention] - Prune old entries on startup and periodically, keeping the database bounded.
+ */
+
+/**
+ * SQLite Transport Class.
+ *
+ * Inserts entries into a `logs` table using Bun's built-in SQLite API, with the context
+ * stored as JSON in a `context` column that can be queried with `json_extract`. Older
+ * log databases are upgraded in place on open (see `sqliteMigrations.js`).
+ * Entries are stored as structured columns, so formatters do not apply. Buffered entries
+ * are inserted in a single transaction per batch (see {@link BufferedTransport}).
+ */
+class SqliteTransport extends BufferedTransport {
+    /**
+     * Checks whether SQLite logging can be used in the current environment.
+     *
+     * @returns {boolean} True on the server when bun:sqlite loaded successfully.
+     */
+    static isAvailable() {
+        return typeof window === "undefined" && Database !== null;
+    }
+
+    /**
+     * Creates an instance of the SqliteTransport.
+     * @param {SqliteTransportOptions} options - Configuration options for the transport.
+     * @throws {Error} If `dbPath` is missing, bun:sqlite is unavailable, or the database cannot be opened or migrated.
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.dbPath) {
+            throw new Error("SQLite logging requires a 'dbPath' option.");
+        }
+        if (!SqliteTransport.isAvailable()) {
+            throw new Error("Database module is not available.");
+        }
+        this.dbPath = options.dbPath;
+        this.db = new Database(this.dbPath);
+        // Create or upgrade the logs table to the current schema version.
+        try {
+            migrate(this.db);
+        } catch (err) {
+            this.db.close();
+            throw err;
+        }
+        this.insertStatement = this.db.prepare(
+            "INSERT INTO logs (timestamp, level, message, context) VALUES (?, ?, ?, ?)"
+        );
+        this.insertBatch = this.db.transaction((rows) => {
+            for (const row of rows) {
+                this.insertStatement.run(...row);
+            }
+        });
+
+        // Apply the retention policy now, then keep applying it while the transport is open.
+        this.retention = options.retention || null;
+        this.pruneTimer = null;
+        if (this.retention) {
+            const prune = () => this.prune({ vacuum: this.retention.vacuum });
+            prune();
+            this.pruneTimer = setInterval(() => {
+                try {
+                    prune();
+                } catch (err) {
+                    console.error("Failed to prune the SQLite log database:", err);
+                }
+            }, this.retention.interval || 3600000);
+            // Don't keep a Bun process alive just to prune logs.
+            if (typeof this.pruneTimer.unref === "function") {
+                this.pruneTimer.unref();
+            }
+        }
+    }
+
+    /**
+     * Converts an entry to the row inserted into the `logs` table.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to convert.
+     * @returns {Array<string|null>} The `timestamp`, `level`, `message` and `context` values.
+     */
+    prepare(entry) {
+        return [entry.timestamp, entry.level, entry.message, serializeContext(entry.context)];
+    }
+
+    /**
+     * Inserts a batch of rows in a single transaction.
+     *
+     * @param {Array<Array<string|null>>} rows - The prepared rows, oldest first.
+     */
+    writeBatch(rows) {
+        this.insertBatch(rows);
+    }
+
+    /**
+     * Reads entries back from the `logs` table. Buffered entries are flushed first so they are included.
+     *
+     * @param {LogQuery} [options={}] - Filters, paging and sort order.
+     * @returns {StoredLogEntry[]} The matching entries.
+     * @throws {Error} If a level, date or sort key is invalid.
+     */
+    query(options = {}) {
+        this.flushBuffer();
+
+        const conditions = [];
+        const params = [];
+        if (options.level !== undefined) {
+            const levels = (Array.isArray(options.level) ? options.level : [options.level]).map(assertLevel);
+            conditions.push(`level IN (${levels.map(() => "?").join(", ")})`);
+            params.push(...levels);
+        }
+        if (options.minLevel !== undefined) {
+            const levels = LOG_LEVELS.slice(LOG_LEVELS.indexOf(assertLevel(options.minLevel)));
+            conditions.push(`level IN (${levels.map(() => "?").join(", ")})`);
+            params.push(...levels);
+        }
+        if (options.since !== undefined) {
+            conditions.push("timestamp >= ?");
+            params.push(toIsoTimestamp(options.since, "since"));
+        }
+        if (options.until !== undefined) {
+            conditions.push("timestamp <= ?");
+            params.push(toIsoTimestamp(options.until, "until"));
+        }
+        if (options.afterId !== undefined) {
+            conditions.push("id > ?");
+            params.push(options.afterId);
+        }
+        if (options.search) {
+            // Escape LIKE wildcards so the search text matches literally.
+            conditions.push("message LIKE ? ESCAPE '\\'");
+            params.push(`%${String(options.search).replace(/[\\%_]/g, "\\$&")}%`);
+        }
+
+        const [orderKey, direction = "desc"] = String(options.orderBy || "timestamp desc")
+            .trim()
+            .toLowerCase()
+            .split(/\s+/);
+        if (!ORDER_COLUMNS[orderKey] || !["asc", "desc"].includes(direction)) {
+            throw new Error(
+                `Invalid orderBy "${options.orderBy}". Use 'timestamp', 'level' or 'id', optionally followed by 'asc' or 'desc'.`
+            );
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+        // The id tiebreaker keeps entries logged in the same millisecond in insertion order.
+        const sql = `SELECT id, timestamp, level, message, context FROM logs ${where}
+            ORDER BY ${ORDER_COLUMNS[orderKey]} ${direction}, id ${direction}
+            LIMIT ? OFFSET ?`;
+        // SQLite treats a negative LIMIT as no limit.
+        const limit = options.limit === null ? -1 : options.limit !== undefined ? options.limit : 100;
+        params.push(limit, options.offset || 0);
+
+        return this.db
+            .query(sql)
+            .all(...params)
+            .map((row) => ({ ...row, context: row.context ? JSON.parse(row.context) : null }));
+    }
+
+    /**
+     * Deletes entries outside the retention limits. Buffered entries are flushed first.
+     *
+     * @param {PruneOptions} [options={}] - Limits for this call; unset limits fall back to the retention policy.
+     * @returns {number} The number of deleted entries.
+     */
+    prune(options = {}) {
+        this.flushBuffer();
+        const retention = this.retention || {};
+        const maxAgeDays = options.maxAgeDays !== undefined ? options.maxAgeDays : retention.maxAgeDays;
+        const maxRows = options.maxRows !== undefined ? options.maxRows : retention.maxRows;
+
+        let deleted = 0;
+        if (maxAgeDays !== undefined) {
+            const cutoff = new Date(Date.now() - maxAgeDays * 86400000).toISOString();
+            deleted += this.db.run("DELETE FROM logs WHERE timestamp < ?", [cutoff]).changes;
+        }
+        if (maxRows !== undefined) {
+            // Row IDs only grow, so everything at or below the (maxRows + 1)th newest ID is surplus.
+            deleted += this.db.run(
+                "DELETE FROM logs WHERE id <= (SELECT id FROM logs ORDER BY id DESC LIMIT 1 OFFSET ?)",
+                [maxRows]
+            ).changes;
+        }
+        if (options.vacuum && deleted > 0) {
+            this.db.run("VACUUM");
+        }
+        return deleted;
+    }
+
+    /**
+     * Flushes buffered entries, stops automatic pruning and closes the database connection.
+     */
+    close() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+        super.close();
+        try {
+            this.db.close();
+        } catch (err) {
+            console.error("Error closing the SQLite database:", err);
+        }
+    }
+}
+
+export default SqliteTransport;
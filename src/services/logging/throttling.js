@@ -0,0 +1,115 @@
+import { assertLevel } from "./levels.js";
+
+/**
+ * Log Sampling and Deduplication
+ *
+ * Keeps noisy hot paths from swamping transports: sampling writes only a fraction of
+ * entries at chosen levels, and deduplication collapses repeats of the same message
+ * within a time window into one summary entry carrying a repeat count.
+ */
+
+/**
+ * Creates a sampling check from per-level rates.
+ *
+ * @param {Object<string, number>} rates - Fraction of entries to keep per level, from 0 (none) to 1 (all),
+ *   e.g. `{ trace: 0.01, debug: 0.1 }`. Levels that are not listed are always kept.
+ * @returns {function(string): boolean} Returns true if an entry at the given level should be kept.
+ * @throws {Error} If a level is unknown or a rate is outside 0 to 1.
+ */
+export function createSampler(rates) {
+    const normalized = {};
+    for (const [level, rate] of Object.entries(rates)) {
+        if (typeof rate !== "number" || rate < 0 || rate > 1) {
+            throw new Error(`Sampling rate for "${level}" must be a number from 0 to 1.`);
+        }
+        normalized[assertLevel(level)] = rate;
+    }
+    return (level) => {
+        const rate = normalized[level];
+        return rate === undefined || rate >= 1 || Math.random() < rate;
+    };
+}
+
+/**
+ * @typedef {Object} DedupeOptions
+ * @property {number} [window=1000] - How long, in milliseconds, repeats of a message are collapsed after it is first written.
+ */
+
+/**
+ * Deduplicator Class.
+ *
+ * The first entry with a given level and message is written immediately. Identical
+ * entries within the following window are held back and counted; when the window ends,
+ * one summary entry is written with the latest context plus `repeatCount`, the number
+ * of suppressed repeats.
+ */
+export class Deduplicator {
+    /**
+     * Creates an instance of the Deduplicator.
+     * @param {DedupeOptions} options - Configuration options for deduplication.
+     * @param {function(import("./transport.js").LogEntry): void} emit - Writes a summary entry.
+     * @throws {Error} If `window` is not a positive number.
+     */
+    constructor(options, emit) {
+        this.window = options.window !== undefined ? options.window : 1000;
+        if (typeof this.window !== "number" || this.window <= 0) {
+            throw new Error("Deduplication 'window' must be a positive number of milliseconds.");
+        }
+        this.emit = emit;
+        /** @type {Map<string, {count: number, last: import("./transport.js").LogEntry, timer: *}>} */
+        this.windows = new Map();
+    }
+
+    /**
+     * Decides whether an entry is written now, or counted as a repeat.
+     *
+     * @param {import("./transport.js").LogEntry} entry - The entry to check.
+     * @returns {boolean} True if the entry opens a new window and should be written.
+     */
+    accept(entry) {
+        const key = `${entry.level}\u0000${entry.message}`;
+        const window = this.windows.get(key);
+        if (window) {
+            window.count += 1;
+            window.last = entry;
+            return false;
+        }
+        const timer = setTimeout(() => this.close(key), this.window);
+        // Don't keep a Bun or Node process alive just to report repeats.
+        if (typeof timer.unref === "function") {
+            timer.unref();
+        }
+        this.windows.set(key, { count: 0, last: entry, timer });
+        return true;
+    }
+
+    /**
+     * Ends a window, writing a summary entry if any repeats were suppressed.
+     *
+     * @param {string} key - The window key.
+     */
+    close(key) {
+        const window = this.windows.get(key);
+        if (!window) {
+            return;
+        }
+        clearTimeout(window.timer);
+        this.windows.delete(key);
+        if (window.count > 0) {
+            this.emit({
+                ...window.last,
+                timestamp: new Date().toISOString(),
+                context: { ...window.last.context, repeatCount: window.count },
+            });
+        }
+    }
+
+    /**
+     * Ends every open window, writing summaries for suppressed repeats.
+     */
+    flush() {
+        for (const key of [...this.windows.keys()]) {
+            this.close(key);
+        }
+    }
+}
@@ -0,0 +1,90 @@
+import { assertLevel, isLevelAtLeast } from "./levels.js";
+import { resolveFormatter } from "./formatters.js";
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {string} timestamp - ISO 8601 time the entry was created.
+ * @property {string} level - The canonical severity level (e.g., 'info').
+ * @property {string} message - The log message.
+ * @property {Object} [context] - Structured fields attached to the entry, including any bound by `child()`.
+ */
+
+/**
+ * @typedef {Object} TransportOptions
+ * @property {string} [minLevel] - The least severe level this transport writes. Defaults to writing everything the Logger passes on.
+ * @property {string|function(LogEntry): string} [formatter] - Converts an entry to the text a text-based transport writes:
+ *   a built-in formatter name ('pretty', 'json' or 'logfmt') or a custom function.
+ */
+
+/**
+ * Base Transport Class.
+ *
+ * A transport delivers log entries to a single target. The Logger calls `write(entry)`
+ * for every entry that passes its own minimum level; the transport applies its own
+ * `minLevel` on top of that. Custom transports can extend this class and override
+ * `write()`, `flush()` and `close()`, or be any object exposing a `write(entry)` method.
+ */
+class Transport {
+    /**
+     * Creates an instance of the Transport.
+     * @param {TransportOptions} options - Configuration options for the transport.
+     * @throws {Error} If `minLevel` is not a known level, or `formatter` is not a known formatter name or function.
+     */
+    constructor(options = {}) {
+        this.minLevel = options.minLevel ? assertLevel(options.minLevel) : "trace";
+        this.formatter = resolveFormatter(options.formatter);
+    }
+
+    /**
+     * Checks whether this transport accepts an entry at the given level.
+     *
+     * @param {string} level - The canonical level of the entry.
+     * @returns {boolean} True if the level is at or above this transport's minimum level.
+     */
+    accepts(level) {
+        return isLevelAtLeast(level, this.minLevel);
+    }
+
+    /**
+     * Formats an entry with the configured formatter, or the transport's default format.
+     *
+     * @param {LogEntry} entry - The entry to format.
+     * @returns {string} The formatted entry.
+     */
+    format(entry) {
+        return this.formatter ? this.formatter(entry) : this.defaultFormat(entry);
+    }
+
+    /**
+     * The format used when no formatter is configured.
+     *
+     * @param {LogEntry} entry - The entry to format.
+     * @returns {string} The formatted entry.
+     */
+    defaultFormat(entry) {
+        return `[${entry.timestamp}] [${entry.level.toUpperCase()}] ${entry.message}`;
+    }
+
+    /**
+     * Writes a single entry to the target. Subclasses must override this method.
+     *
+     * @param {LogEntry} entry - The entry to write.
+     */
+    write() {
+        throw new Error(`${this.constructor.name} must implement write(entry).`);
+    }
+
+    /**
+     * Flushes any entries the transport is holding. The default implementation has nothing to flush.
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {}
+
+    /**
+     * Releases any resources held by the transport. The default implementation has nothing to release.
+     */
+    close() {}
+}
+
+export default Transport;